@@ -1,289 +1,660 @@
 const MODULE_ID = 'ez-glide';
 const STOP_EPS = 1e-3;
+// A channel settles once its remaining motion, and its motion over one 60 Hz frame, is under SETTLE_PIXELS on screen
+const SETTLE_PIXELS = 0.5;
+const SETTLE_FRAME = 1 / 60;
+const DEFAULT_MOTION_MODEL = 'exponential';
+const MAX_GLIDE_SPEED = 100;
+
+// Wheel normalization: one notch of a typical mouse wheel in each WheelEvent.deltaMode
+const WHEEL_NOTCH = {
+  0: 100, // DOM_DELTA_PIXEL
+  1: 3,   // DOM_DELTA_LINE
+  2: 1    // DOM_DELTA_PAGE
+};
+const MAX_WHEEL_NOTCHES = 5;
+
+// Inertia: velocity is measured over the last INERTIA_SAMPLE_MS of a drag, and a fling settles below INERTIA_STOP_SPEED (screen px/s)
+const INERTIA_SAMPLE_MS = 100;
+const INERTIA_STOP_SPEED = 20;
+
+// Frame budget: frame time is smoothed by FRAME_SMOOTHING, the degrade level moves at most once per FRAME_LEVEL_MS,
+// and steps back down once frames take under FRAME_RECOVER of the budget
+const FRAME_SMOOTHING = 0.1;
+const FRAME_LEVEL_MS = 500;
+const FRAME_RECOVER = 0.75;
+const FRAME_STALL_MS = 1000;
+const FRAME_STATS_MS = 250;
+const BLUR_THROTTLE_FRAMES = 4;
+const SHORTEN_FACTOR = 2;
+
+// Degrade levels, each adding to the one before it
+const FRAME_LEVELS = {
+  FULL: 0,
+  THROTTLE_BLUR: 1,
+  DEFER_REFRESH: 2,
+  SHORTEN: 3
+};
+const FRAME_LEVEL_NAMES = ['full', 'throttleBlur', 'deferRefresh', 'shorten'];
+
+// Elastic bounds: a stretch is held ELASTIC_HOLD_MS past the last input, and momentum past the bounds brakes at ELASTIC_BRAKE per second
+const ELASTIC_HOLD_MS = 150;
+const ELASTIC_BRAKE = 20;
+
+// Keyboard: held keys ease velocity toward KEY_ACCEL; zoom runs at KEY_ZOOM_RATE zoom steps per second
+const KEY_ACCEL = 10;
+const KEY_ZOOM_RATE = 8;
+const KEY_ZOOM_STOP = 0.05;
+const KEY_PAN_ACTIONS = {
+  'core.panUp': {x: 0, y: -1},
+  'core.panDown': {x: 0, y: 1},
+  'core.panLeft': {x: -1, y: 0},
+  'core.panRight': {x: 1, y: 0}
+};
+const KEY_ZOOM_ACTIONS = {
+  'core.zoomIn': 1,
+  'core.zoomOut': -1
+};
 const INTERNAL_PAN = Symbol(`${MODULE_ID}-internal`);
 
-const HOOK_MODES = {
-  NONE: 0,
-  PANNING: 1,
-  ZOOMING: 2
+// Methods the canvas binds into its MouseInteractionManager when it draws. A wrapper added to one of these
+// after the draw is only picked up once libWrapper had already wrapped it before that draw.
+const DRAW_BOUND_TARGETS = [
+  'foundry.canvas.Canvas.prototype._onDragRightMove',
+  'foundry.canvas.Canvas.prototype._onDragRightDrop',
+  'foundry.canvas.Canvas.prototype._onDragRightCancel'
+];
+
+// View channels, each animated on its own track
+const TRACKS = ['x', 'y', 'scale'];
+
+const WHEEL_MODES = {
+  ZOOM: 'zoom',
+  TRACKPAD: 'trackpad'
+};
+
+const EDGE_SCROLL = {
+  OFF: 'off',
+  DRAG: 'drag',
+  HOVER: 'hover'
+};
+
+// Inputs that pan the canvas alongside core's right-drag
+const PAN_BUTTONS = {
+  RIGHT: 'right',
+  MIDDLE: 'middle',
+  SPACE: 'space',
+  ALL: 'all'
+};
+
+// Settings a scene can override through its flags, mapped to their client setting keys
+const SCENE_SETTINGS = {
+  zoomSpeed: 'zoomSpeed',
+  panSpeed: 'panSpeed',
+  zoomStep: 'stepSize'
+};
+
+// Input ranges of the scene zoom limits, which apply to CONFIG.Canvas rather than a setting; the other scene
+// config fields take their ranges from the settings they override
+const SCENE_ZOOM_LIMITS = {
+  minZoom: {min: 0.01, max: 10, step: 0.01},
+  maxZoom: {min: 0.1, max: 20, step: 0.1}
+};
+
+// Reduced motion follows the OS prefers-reduced-motion query unless the user overrides it
+const REDUCED_MOTION = {
+  AUTO: 'auto',
+  ON: 'on',
+  OFF: 'off'
+};
+
+// Setting values while reduced motion is active: very short transitions with no momentum or overshoot
+const REDUCED_MOTION_PROFILE = {
+  zoomSpeed: 25,
+  panSpeed: 25,
+  motionModel: DEFAULT_MOTION_MODEL,
+  enableInertia: false,
+  elasticBounds: false
+};
+
+// Settings that stay with each user or their hardware: the world policy cannot default or lock them,
+// and presets leave them alone
+const PERSONAL_SETTINGS = ['reducedMotion', 'adaptiveQuality', 'targetFps', 'showFrameStats', 'followToken', 'combatFocus'];
+
+// Whether a scene's overrides beat the values users changed themselves
+const SCENE_POLICIES = {
+  SCENE: 'scene',
+  USER: 'user'
+};
+
+// How a GM lock holds non-GM users to the world default: exactly, or as an upper or lower bound
+const LOCK_MODES = {
+  VALUE: 'value',
+  MAX: 'max',
+  MIN: 'min'
+};
+
+// Built-in presets, keyed by setting key. They cover the motion settings and leave input choices alone.
+const BUILT_IN_PRESETS = {
+  snappy: {
+    zoomSpeed: 12,
+    panSpeed: 14,
+    stepSize: 1.15,
+    motionModel: 'exponential',
+    enableInertia: false,
+    inertiaFriction: 6,
+    elasticBounds: false,
+    keyboardPanSpeed: 1800
+  },
+  balanced: {
+    zoomSpeed: 5,
+    panSpeed: 8,
+    stepSize: 1.12,
+    motionModel: 'exponential',
+    enableInertia: true,
+    inertiaFriction: 4,
+    elasticBounds: false,
+    keyboardPanSpeed: 1200
+  },
+  cinematic: {
+    zoomSpeed: 2.5,
+    panSpeed: 3,
+    stepSize: 1.1,
+    motionModel: 'spring',
+    enableInertia: true,
+    inertiaFriction: 2,
+    elasticBounds: true,
+    keyboardPanSpeed: 900
+  },
+  lowMotion: {
+    zoomSpeed: 25,
+    panSpeed: 25,
+    stepSize: 1.12,
+    motionModel: 'exponential',
+    enableInertia: false,
+    inertiaFriction: 15,
+    elasticBounds: false,
+    keyboardPanSpeed: 1200
+  }
+};
+
+// Preset window buttons and their icons
+const PRESET_ACTIONS = {
+  apply: 'fa-solid fa-check',
+  save: 'fa-solid fa-floppy-disk',
+  delete: 'fa-solid fa-trash',
+  export: 'fa-solid fa-file-export',
+  import: 'fa-solid fa-file-import'
+};
+
+// Camera bookmarks: the first BOOKMARK_SLOTS get glide-to keybindings; GM row buttons in the manager and their icons
+const BOOKMARK_SLOTS = 9;
+const BOOKMARK_ACTIONS = {
+  go: 'fa-solid fa-location-arrow',
+  capture: 'fa-solid fa-crosshairs',
+  moveUp: 'fa-solid fa-arrow-up',
+  delete: 'fa-solid fa-trash'
+};
+
+// Camera history: at most HISTORY_LIMIT entries per scene; views within HISTORY_MERGE_PIXELS on screen and
+// HISTORY_MERGE_ZOOM in log scale of the current entry replace it rather than adding a new one
+const HISTORY_LIMIT = 50;
+const HISTORY_MERGE_PIXELS = 150;
+const HISTORY_MERGE_ZOOM = Math.log(1.5);
+
+const ZOOM_ANCHORS = {
+  CENTER: 'center',
+  CURSOR: 'cursor',
+  TOKEN: 'token'
 };
 
+const reducedMotionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)') ?? null;
+
 const settings = {
   zoomSpeed: 5,
   panSpeed: 8,
-  zoomStep: 1.12
+  zoomStep: 1.12,
+  zoomCurve: 1,
+  zoomAnchor: ZOOM_ANCHORS.CENTER,
+  wheelMode: WHEEL_MODES.ZOOM,
+  enableInertia: false,
+  inertiaFriction: 4,
+  inertiaMaxSpeed: 4000,
+  enableKeyboard: true,
+  keyboardPanSpeed: 1200,
+  enableTouch: true,
+  motionModel: DEFAULT_MOTION_MODEL,
+  springDamping: 0.6,
+  edgeScroll: EDGE_SCROLL.OFF,
+  edgeScrollMargin: 50,
+  edgeScrollSpeed: 1500,
+  panButton: PAN_BUTTONS.RIGHT,
+  elasticBounds: false,
+  elasticResistance: 0.5,
+  elasticOvershoot: 120,
+  followToken: false,
+  followDeadZone: 0.5,
+  combatFocus: false,
+  combatFocusZoom: 0,
+  adaptiveQuality: true,
+  targetFps: 45,
+  showFrameStats: false,
+  reducedMotion: false  // Resolved reduced-motion state, not the stored auto/on/off mode
 };
 const animationState = {
   currentView: {x: 0, y: 0, scale: 1},
   targetView: {x: 0, y: 0, scale: 1},
+  velocity: {x: 0, y: 0, scale: 0},
+  tracks: {x: false, y: false, scale: false},
+  zoomAnchor: null,
+  dragSamples: [],
+  inertia: null,
+  keyboard: {held: new Set(), pan: {x: 0, y: 0}, zoom: 0},
+  edge: {pointer: null, dragging: false, hovering: false},
+  panDrag: null,
+  space: {held: false, used: false, pendingPause: null},
+  touch: {pointers: new Map(), captured: new Set(), gesture: null},
+  elasticInputTime: 0,
+  unconstrained: false,
+  glide: null,
   viewTicker: null,
   lastViewTime: 0
 };
+const wrapperState = {
+  active: new Set(),    // Targets currently wrapped
+  wrapped: new Set(),   // Targets libWrapper has ever wrapped this session
+  drawnWith: new Set()  // Targets that were already wrapped when the canvas was last drawn
+};
+const sceneState = {
+  overrides: {},                // Valid overrides of the viewed scene, keyed like SCENE_SETTINGS
+  policy: SCENE_POLICIES.SCENE,
+  zoomLimits: null              // Core's CONFIG.Canvas zoom limits, captured before the first scene applies its own
+};
+const frameState = {
+  average: 0,          // Smoothed frame time in ms
+  worst: 0,            // Longest frame of the current glide in ms
+  frames: 0,
+  skipFrame: false,    // The next frame is the first of a glide
+  level: FRAME_LEVELS.FULL,
+  levelTime: 0,
+  blurFrame: 0,
+  staleBlur: false,    // A throttled frame skipped updateBlur
+  deferredPan: false,  // A degraded frame moved the stage without core's pan
+  overlay: null,
+  overlayTime: 0
+};
+const historyState = {
+  scenes: new Map(),  // Camera history by scene id
+  navigation: null    // Token of the history glide in flight, whose views are not recorded
+};
+const followState = {
+  paused: false  // Set by manual camera input until a controlled token moves again
+};
+const policyState = {
+  moduleDefaults: {}  // Registered defaults of the policy settings, before world defaults replace them
+};
+const presetState = {
+  applying: false   // Set while a preset writes its settings, deferring mode switches until it is done
+};
 const errorState = {
   wrapperError: null,
   conflictingPackage: null
 };
-let currentHandler = null;
 
 /**
- * Mode-specific handlers implementing the Strategy pattern.
- * Each handler encapsulates all behavior for its mode: wrapper registration and ticker creation.
+ * @typedef {object} MotionModel
+ * @property {string} [label] - Localization key or display name for the settings dropdown
+ * @property {function({value: number, velocity: number, target: number, speed: number, dt: number}): {value: number, velocity: number}} step
+ *   Advance a channel by dt seconds. Must be accurate for any dt, since frame hitches can be long.
  */
-const MODE_HANDLERS = {
-  NONE: {
-    registerWrappers(libWrapper, MODULE_ID) {
-      // No-op - no wrappers to register
+
+/**
+ * Registered motion models, keyed by id. Other modules add to it through api.registerMotionModel.
+ * @type {Record<string, MotionModel>}
+ */
+const MOTION_MODELS = {
+  exponential: {
+    label: 'ez-glide.settings.motionModel.choices.exponential',
+    step({value, target, speed, dt}) {
+      const next = value + ((target - value) * expDecay(speed, dt));
+      return {value: next, velocity: dt > 0 ? (next - value) / dt : 0};
+    }
+  },
+
+  spring: {
+    label: 'ez-glide.settings.motionModel.choices.spring',
+    step(state) {
+      return springStep(state, 1);
     }
   },
 
-  ZOOM_ONLY: {
+  springBouncy: {
+    label: 'ez-glide.settings.motionModel.choices.springBouncy',
+    step(state) {
+      return springStep(state, settings.springDamping);
+    }
+  }
+};
+
+/**
+ * Input sources implementing the Strategy pattern.
+ * Each source registers the wrappers it needs for the enabled tracks and writes into animationState.targetView;
+ * the single view ticker animates whatever it finds there.
+ */
+const INPUT_SOURCES = {
+  corePan: {
+    enabled: tracks => tracks.x || tracks.y || tracks.scale,
+
     registerWrappers(libWrapper, MODULE_ID) {
-      // Zoom-only mode: register wheel handler only
+      // Pan wrapper keeps external pans and the ticker from fighting over the stage
       libWrapper.register(
         MODULE_ID,
-        'foundry.canvas.Canvas.prototype._onMouseWheel',
-        function zoomOnlyWheel(event) {
-          const canvas = this;
-          
-          // Sync current state
-          syncViewState(canvas);
-          
-          // Compute target scale - accumulate on animationState.targetView.scale
-          const dz = event.deltaY < 0 ? settings.zoomStep : 1 / settings.zoomStep;
-          animationState.targetView.scale = canvas._constrainView({scale: dz * animationState.targetView.scale}).scale;
-          
-          startViewTicker(canvas);
+        'foundry.canvas.Canvas.prototype.pan',
+        function panWrapper(wrapper, options = {}) {
+          if (options?.[INTERNAL_PAN]) {
+            // A stretched view must reach the stage unclamped
+            animationState.unconstrained = settings.elasticBounds;
+            try {
+              return wrapper(options);
+            } finally {
+              animationState.unconstrained = false;
+            }
+          }
+
+          // External pans that only move untracked channels (e.g. a core zoom while only panning is smoothed)
+          // run alongside the glide; anything else takes over the view
+          const tracks = animationState.tracks;
+          const takesOver = TRACKS.some(channel => tracks[channel] && (options?.[channel] !== undefined));
+          if (takesOver) stopViewTicker(this, 'pan');
+          else if (options?.x !== undefined || options?.y !== undefined) animationState.zoomAnchor = null;
+
+          const before = {x: this.stage.pivot.x, y: this.stage.pivot.y, scale: this.stage.scale.x};
+          const result = wrapper(options);
+          syncUntrackedChannels(this, takesOver ? TRACKS : TRACKS.filter(channel => !tracks[channel]));
+
+          // A jump (e.g. a pulled ping) is a visit of its own; the small steps of core's own drags are not.
+          // While a scene draws, the stage still holds the last scene's view, so canvasReady records the first entry
+          const after = {x: this.stage.pivot.x, y: this.stage.pivot.y, scale: this.stage.scale.x};
+          if (this.ready && !isNearView(before, after)) {
+            recordHistory(before);
+            recordHistory(after);
+          }
+          return result;
         },
-        libWrapper.OVERRIDE
+        libWrapper.WRAPPER
       );
-    },
-    
-    createTicker(canvas) {
-      // Zoom-only ticker: animate scale using direct manipulation
-      return () => {
-        const dt = getFrameDelta();
-
-        const factor = expDecay(settings.zoomSpeed, dt);
-        const rs = lerpSnap(animationState.currentView.scale, animationState.targetView.scale, factor);
-        
-        animationState.currentView.scale = rs.value;
-
-        canvas.stage.scale.set(animationState.currentView.scale, animationState.currentView.scale);
-        canvas.scene._viewPosition.scale = animationState.currentView.scale;
-        canvas.updateBlur();
-
-        if (rs.delta === 0) {
-          stopViewTicker(canvas);
-        }
-      };
     }
   },
 
-  PAN_ONLY: {
+  elastic: {
+    enabled: tracks => settings.elasticBounds && (tracks.x || tracks.y || tracks.scale),
+
     registerWrappers(libWrapper, MODULE_ID) {
-      // Pan-only mode: register drag and animatePan handlers
+      // Core's pan clamps the view it is given; the ticker's own pans skip that while the view is stretched
       libWrapper.register(
         MODULE_ID,
-        'foundry.canvas.Canvas.prototype.animatePan',
-        function smoothPan(wrapper, args = {}) {
-          // Inject exponential easing
-          const denom = expDecay(settings.panSpeed, 1);
-          function easing(pt) {
-            const factor = expDecay(settings.panSpeed, pt) / denom;
-            return lerpSnap(0, 1, factor).value;
-          }
-          return wrapper({...args, easing});
+        'foundry.canvas.Canvas.prototype._constrainView',
+        function elasticConstrainView(wrapper, view = {}) {
+          if (!animationState.unconstrained) return wrapper(view);
+          return {
+            x: view.x ?? this.stage.pivot.x,
+            y: view.y ?? this.stage.pivot.y,
+            scale: view.scale ?? this.stage.scale.x
+          };
         },
         libWrapper.WRAPPER
       );
+    }
+  },
+
+  animatePan: {
+    enabled: tracks => tracks.x || tracks.y,
 
+    registerWrappers(libWrapper, MODULE_ID) {
       libWrapper.register(
         MODULE_ID,
-        'foundry.canvas.Canvas.prototype._onDragRightMove',
-        function smoothDragRightMove(event) {
+        'foundry.canvas.Canvas.prototype.animatePan',
+        function glideAnimatePan({x, y, scale, duration, speed} = {}) {
           const canvas = this;
-          const data = event?.interactionData;
-          if (!canvas?.stage || !data?.origin || !data?.destination) return;
-
-          const dx = data.destination.x - data.origin.x;
-          const dy = data.destination.y - data.origin.y;
-          const mod = CONFIG.Canvas.dragSpeedModifier;
-
-          // INFERENCE CONTRACT: Sync from canvas and pass current scale explicitly
-          // Since we're not animating scale, we read it fresh from canvas
-          syncViewState(canvas);
-          
-          const desired = canvas._constrainView({
-            x: canvas.stage.pivot.x - (dx * mod),
-            y: canvas.stage.pivot.y - (dy * mod),
-            scale: animationState.currentView.scale  // Explicit: not animating scale
-          });
-
-          // Set new pan target, keep scale synced (not animated)
-          animationState.targetView.x = desired.x;
-          animationState.targetView.y = desired.y;
-          animationState.targetView.scale = animationState.currentView.scale;  // Keep in sync, don't animate
-
-          startViewTicker(canvas);
-
-          // Mirror core behavior: reset token tab cycling
-          canvas.tokens._tabIndex = null;
+          if (!canvas?.ready) return Promise.resolve(false);
+          if (!animationState.viewTicker) alignTargetsToCurrent(canvas);
+
+          // Omitted values keep the current target, so a pan combines with a zoom already in flight
+          const target = animationState.targetView;
+          const desired = canvas._constrainView({x: x ?? target.x, y: y ?? target.y, scale: scale ?? target.scale});
+          const view = {x: desired.x, y: desired.y};
+          if (scale !== undefined) view.scale = desired.scale;
+
+          // Like core, resolve false rather than rejecting when the pan is cut short
+          return glideTo(view, animatePanSpeeds(canvas, desired, {duration, speed})).then(() => true, () => false);
         },
         libWrapper.OVERRIDE
       );
-    },
-    
-    createTicker(canvas) {
-      // Pan-only ticker: animate x/y, read scale live from canvas
-      return () => {
-        const dt = getFrameDelta();
-
-        const factorPan = expDecay(settings.panSpeed, dt);
-
-        // Animate x/y only
-        const rx = lerpSnap(animationState.currentView.x, animationState.targetView.x, factorPan);
-        const ry = lerpSnap(animationState.currentView.y, animationState.targetView.y, factorPan);
-
-        animationState.currentView.x = rx.value;
-        animationState.currentView.y = ry.value;
-        
-        // INFERENCE CONTRACT: Read scale fresh from canvas each frame
-        // Never animate it - Foundry controls scale in PAN_ONLY mode
-        animationState.currentView.scale = canvas.stage.scale.x;
-
-        canvas.pan({...animationState.currentView, [INTERNAL_PAN]: true});
-        canvas.updateBlur();
-
-        // Align to constrained live values
-        syncViewState(canvas);
-
-        // Check convergence for x/y only (scale is passthrough)
-        if (rx.delta === 0 && ry.delta === 0) {
-          stopViewTicker(canvas);
-        }
-      };
     }
   },
 
-  BOTH: {
+  wheel: {
+    // Trackpad mode needs the wheel for panning even when zoom is left to core
+    enabled: tracks => tracks.scale || (isTrackpadMode() && tracks.x),
+
     registerWrappers(libWrapper, MODULE_ID) {
-      // Both modes: register pan wrapper, wheel, drag, and animatePan
-      
-      // Pan wrapper prevents interference when both modes are active
       libWrapper.register(
         MODULE_ID,
-        'foundry.canvas.Canvas.prototype.pan',
-        function panWrapper(wrapper, options = {}) {
-          const isInternal = options?.[INTERNAL_PAN];
-
-          if (!isInternal) {
-            stopViewTicker(this);
-            alignTargetsToCurrent(this);
-          }
-          return wrapper(options);
+        'foundry.canvas.Canvas.prototype._onMouseWheel',
+        function smoothWheel(event) {
+          // In trackpad mode wheel events are sorted into pan (two-finger swipe, shift+wheel)
+          // and zoom (pinch, ctrl+wheel); most browsers deliver pinch gestures as ctrl+wheel
+          if (isTrackpadMode() && !event.ctrlKey && !event.metaKey) glideWheelPan(this, event);
+          else glideWheelZoom(this, event);
         },
-        libWrapper.WRAPPER
+        libWrapper.OVERRIDE
       );
+    }
+  },
 
-      // AnimatePan for smooth panning
-      libWrapper.register(
-        MODULE_ID,
-        'foundry.canvas.Canvas.prototype.animatePan',
-        function smoothPan(wrapper, args = {}) {
-          const denom = expDecay(settings.panSpeed, 1);
-          function easing(pt) {
-            const factor = expDecay(settings.panSpeed, pt) / denom;
-            return lerpSnap(0, 1, factor).value;
-          }
-          return wrapper({...args, easing});
-        },
-        libWrapper.WRAPPER
-      );
+  edgeScroll: {
+    enabled: tracks => tracks.x && (settings.edgeScroll !== EDGE_SCROLL.OFF),
 
-      // Mouse wheel for smooth zooming
+    registerWrappers(libWrapper, MODULE_ID) {
+      // Replaces core's throttled jumps while dragging tokens, rulers and templates; the view ticker
+      // scrolls for as long as the pointer stays in the edge zone
       libWrapper.register(
         MODULE_ID,
-        'foundry.canvas.Canvas.prototype._onMouseWheel',
-        function smoothWheel(event) {
-          const canvas = this;
-
-          // Blend from the live visual scale; accumulate deltas from the intended target.
-          syncViewState(canvas);
-
-          // INFERENCE CONTRACT: Must provide animationState.targetView.scale explicitly
-          // All three dimensions are being animated
-          const dz = event.deltaY < 0 ? settings.zoomStep : 1 / settings.zoomStep;
-          const targetScale = canvas._constrainView({scale: dz * animationState.targetView.scale}).scale;
-          animationState.targetView = {x: animationState.currentView.x, y: animationState.currentView.y, scale: targetScale};
-
-          startViewTicker(canvas);
+        'foundry.canvas.Canvas.prototype._onDragCanvasPan',
+        function edgeDragCanvasPan(event) {
+          const edge = animationState.edge;
+          edge.dragging = true;
+          edge.pointer = {x: event.clientX ?? event.x, y: event.clientY ?? event.y};
+          if (edgeScrollVelocity()) startViewTicker(this);
         },
         libWrapper.OVERRIDE
       );
+    }
+  },
+
+  rightDrag: {
+    enabled: tracks => tracks.x || tracks.y,
 
-      // Drag for smooth panning
+    registerWrappers(libWrapper, MODULE_ID) {
       libWrapper.register(
         MODULE_ID,
         'foundry.canvas.Canvas.prototype._onDragRightMove',
         function smoothDragRightMove(event) {
-          const canvas = this;
           const data = event?.interactionData;
-          if (!canvas?.stage || !data?.origin || !data?.destination) return;
-
-          const dx = data.destination.x - data.origin.x;
-          const dy = data.destination.y - data.origin.y;
-          const mod = CONFIG.Canvas.dragSpeedModifier;
-
-          syncViewState(canvas);
-          
-          // INFERENCE CONTRACT: Must provide animationState.targetView.scale explicitly
-          // Since scale is being animated, we can't let it be inferred
-          const desired = canvas._constrainView({
-            x: canvas.stage.pivot.x - (dx * mod),
-            y: canvas.stage.pivot.y - (dy * mod),
-            scale: animationState.targetView.scale  // Explicit: we're animating scale
-          });
-
-          animationState.targetView = {x: desired.x, y: desired.y, scale: animationState.targetView.scale};
-          startViewTicker(canvas);
-
-          // Mirror core behavior: reset token tab cycling
-          canvas.tokens._tabIndex = null;
+          if (!this?.stage || !data?.origin || !data?.destination) return;
+          glideDrag(this, data.origin, data.destination);
         },
         libWrapper.OVERRIDE
       );
-    },
-    
-    createTicker(canvas) {
-      // Combined ticker: animate x, y, and scale together
-      return () => {
-        const dt = getFrameDelta();
 
-        const factorPan = expDecay(settings.panSpeed, dt);
-        const factorZoom = expDecay(settings.zoomSpeed, dt);
+      // Release hands the drag off to an inertial fling
+      for (const method of ['_onDragRightDrop', '_onDragRightCancel']) {
+        libWrapper.register(
+          MODULE_ID,
+          `foundry.canvas.Canvas.prototype.${method}`,
+          function inertiaDragRelease(wrapper, event) {
+            const result = wrapper(event);
+            releaseDragInertia(this);
+            return result;
+          },
+          libWrapper.WRAPPER
+        );
+      }
+    }
+  }
+};
+
+/**
+ * Public scripting API, exposed as game.modules.get('ez-glide').api.
+ * Glides go through the same view ticker as user input, so they behave exactly like it.
+ */
+const api = {
+  /**
+   * Glide the view to an absolute position and/or scale.
+   * @param {{x?: number, y?: number, scale?: number}} view - Target pivot and scale; omitted values keep the current target
+   * @param {{panSpeed?: number, zoomSpeed?: number}} [options] - Smoothing overrides for this glide only
+   * @returns {Promise<{x: number, y: number, scale: number}>} Resolves with the settled view, rejects if interrupted
+   */
+  glideTo(view = {}, options = {}) {
+    return glideTo(view, options);
+  },
+
+  /**
+   * Glide the view relative to where it is heading.
+   * @param {{x?: number, y?: number, scale?: number}} delta - Pivot offset in world units and scale multiplier
+   * @param {{panSpeed?: number, zoomSpeed?: number}} [options] - Smoothing overrides for this glide only
+   * @returns {Promise<{x: number, y: number, scale: number}>} Resolves with the settled view, rejects if interrupted
+   */
+  glideBy({x = 0, y = 0, scale = 1} = {}, options = {}) {
+    if (canvas?.ready && !animationState.viewTicker) alignTargetsToCurrent(canvas);
+    const target = animationState.targetView;
+    return glideTo({x: target.x + x, y: target.y + y, scale: target.scale * scale}, options);
+  },
 
-        const rx = lerpSnap(animationState.currentView.x, animationState.targetView.x, factorPan);
-        const ry = lerpSnap(animationState.currentView.y, animationState.targetView.y, factorPan);
-        const rs = lerpSnap(animationState.currentView.scale, animationState.targetView.scale, factorZoom);
+  /**
+   * Glide the zoom to an absolute scale, keeping the current pan target.
+   * @param {number} scale - Target scale
+   * @param {{zoomSpeed?: number}} [options] - Smoothing overrides for this glide only
+   * @returns {Promise<{x: number, y: number, scale: number}>} Resolves with the settled view, rejects if interrupted
+   */
+  zoomTo(scale, options = {}) {
+    return glideTo({scale}, options);
+  },
 
-        animationState.currentView.x = rx.value;
-        animationState.currentView.y = ry.value;
-        animationState.currentView.scale = rs.value;
+  /**
+   * Stop any glide in progress where it currently is. A pending scripted glide is rejected.
+   */
+  stop() {
+    if (!canvas?.ready) return;
+    stopViewTicker(canvas, 'stop');
+    alignTargetsToCurrent(canvas);
+  },
 
-        canvas.pan({...animationState.currentView, [INTERNAL_PAN]: true});
-        canvas.updateBlur();
+  /**
+   * Register a motion model for the settings dropdown.
+   * @param {string} id - Unique model id, ideally prefixed with the registering package id
+   * @param {MotionModel} model - Model implementing step({value, velocity, target, speed, dt})
+   */
+  registerMotionModel(id, model) {
+    registerMotionModel(id, model);
+  },
 
-        // Align to constrained live values after pan
-        syncViewState(canvas);
+  /** @type {boolean} Whether the view is currently animating */
+  get isGliding() {
+    return !!animationState.viewTicker;
+  },
 
-        if (rx.delta === 0 && ry.delta === 0 && rs.delta === 0) {
-          stopViewTicker(canvas);
-        }
-      };
-    }
+  /**
+   * @type {{average: number, worst: number, frames: number, level: string}} Frame-time stats for debugging:
+   *   smoothed and worst frame time of the current or last glide in ms, frames measured, and the degrade level
+   */
+  get frameStats() {
+    const {average, worst, frames, level} = frameState;
+    return {average, worst, frames, level: FRAME_LEVEL_NAMES[level]};
   }
 };
 
+/**
+ * Start a scripted glide toward a view.
+ * Channels whose track is disabled jump straight to the target, as core would.
+ * @param {{x?: number, y?: number, scale?: number}} view - Target pivot and scale
+ * @param {{panSpeed?: number, zoomSpeed?: number}} options - Smoothing overrides for this glide only
+ * @returns {Promise<{x: number, y: number, scale: number}>}
+ */
+function glideTo({x, y, scale} = {}, {panSpeed, zoomSpeed} = {}) {
+  if (!canvas?.ready) return Promise.reject(new Error(`${MODULE_ID} | The canvas is not ready`));
+
+  // A new scripted glide supersedes the previous one
+  interruptGlide();
+  if (!animationState.viewTicker) alignTargetsToCurrent(canvas);
+
+  const target = animationState.targetView;
+  const desired = canvas._constrainView({x: x ?? target.x, y: y ?? target.y, scale: scale ?? target.scale});
+  const given = TRACKS.filter(channel => ({x, y, scale})[channel] !== undefined);
+  const channels = given.length ? given : TRACKS;
+
+  if (channels.includes('x') || channels.includes('y')) {
+    animationState.zoomAnchor = null;
+    animationState.inertia = null;
+  }
+  animationState.targetView = {x: desired.x, y: desired.y, scale: desired.scale};
+
+  const promise = new Promise((resolve, reject) => {
+    animationState.glide = {resolve, reject, channels, speeds: {panSpeed, zoomSpeed}};
+  });
+  startViewTicker(canvas);
+  return promise;
+}
+
+/**
+ * Reject the pending scripted glide, if any, because something else took over the channels it drives.
+ * Input on other channels, such as a zoom during a scripted pan, combines with the glide instead.
+ * @param {string[]} [channels=TRACKS] - Channels being taken over
+ */
+function interruptGlide(channels = TRACKS) {
+  const glide = animationState.glide;
+  if (!glide?.channels.some(channel => channels.includes(channel))) return;
+  animationState.glide = null;
+  glide.reject(new Error(`${MODULE_ID} | Glide interrupted`));
+}
+
+/**
+ * Per-glide smoothing speeds for a core animatePan call.
+ * Without a duration or speed the user's smoothing applies, which already takes longer for longer pans.
+ * Otherwise the speed is chosen so the glide settles in about the requested time.
+ * @param {Canvas} canvas - The game canvas
+ * @param {{x: number, y: number, scale: number}} target - Constrained target view
+ * @param {{duration?: number, speed?: number}} options - Core animatePan timing options
+ * @returns {{panSpeed?: number, zoomSpeed?: number}}
+ */
+function animatePanSpeeds(canvas, target, {duration, speed}) {
+  const view = animationState.currentView;
+  const distance = Math.hypot(target.x - view.x, target.y - view.y);
+
+  // Core's speed is in world units per second
+  if (speed) duration = distance * 1000 / speed;
+  if (duration === undefined) return {};
+
+  // Exponential convergence takes ln(distance / threshold) / rate, measured in on-screen pixels
+  const [width, height] = canvas.screenDimensions;
+  const zoomPixels = Math.abs(Math.log(target.scale / view.scale)) * Math.hypot(width, height) / 2;
+  const pixels = Math.max(distance * view.scale, zoomPixels);
+  const rate = Math.log(Math.max(pixels / SETTLE_PIXELS, Math.E)) / Math.max(duration / 1000, 1 / MAX_GLIDE_SPEED);
+  return {panSpeed: Math.min(rate, MAX_GLIDE_SPEED), zoomSpeed: Math.min(rate, MAX_GLIDE_SPEED)};
+}
+
+/**
+ * Smoothing speed for the current frame, honoring per-glide overrides from the API.
+ * @param {'panSpeed'|'zoomSpeed'} key - Speed setting
+ * @returns {number} Decay rate
+ */
+function glideSpeed(key) {
+  const speed = animationState.glide?.speeds[key] ?? settings[key];
+
+  // Scripted glides may ask for slow motion, which the reduced-motion profile does not allow
+  return settings.reducedMotion ? Math.max(speed, REDUCED_MOTION_PROFILE[key]) : speed;
+}
+
 /**
  * Exponential decay factor: 1 - e^(-speed * t)
  * @param {number} speed - Decay rate (higher = faster)
@@ -295,33 +666,1911 @@ function expDecay(speed, t) {
 }
 
 /**
- * Lerp with snap-to-target when within STOP_EPS.
- * @param {number} current - Current value
+ * Advance one view channel toward its target with the selected motion model.
+ * Scale moves in log space, so every zoom step takes the same time and feels the same at any zoom level.
+ * Snaps to the target once it has come to rest within settleThreshold.
+ * @param {'x'|'y'|'scale'} channel - View channel
  * @param {number} target - Target value
- * @param {number} factor - Interpolation factor (0-1)
- * @returns {{value: number, delta: number}} Interpolated value and remaining delta (0 if snapped)
+ * @param {number} speed - Smoothing speed
+ * @param {number} dt - Frame delta in seconds
+ * @returns {{value: number, delta: number}} New value and remaining delta (0 if snapped)
+ */
+function stepChannel(channel, target, speed, dt) {
+  const log = channel === 'scale';
+  const current = animationState.currentView[channel];
+  const value = log ? Math.log(current) : current;
+  const goal = log ? Math.log(target) : target;
+  const velocity = animationState.velocity[channel];
+
+  const eps = settleThreshold(channel);
+  if (Math.abs(goal - value) <= eps && Math.abs(velocity) * SETTLE_FRAME <= eps) {
+    animationState.velocity[channel] = 0;
+    return {value: target, delta: 0};
+  }
+
+  const next = getMotionModel().step({value, velocity, target: goal, speed, dt});
+  animationState.velocity[channel] = next.velocity;
+  const result = log ? Math.exp(next.value) : next.value;
+  return {value: result, delta: Math.abs(target - result)};
+}
+
+/**
+ * Distance at which a channel counts as converged: SETTLE_PIXELS of visible motion.
+ * Pan channels are in world units, so the threshold shrinks as the view zooms in. Scale is in log units,
+ * where a change of r moves the screen corners by about r times the half-diagonal.
+ * @param {'x'|'y'|'scale'} channel - View channel
+ * @returns {number} Threshold in the channel's interpolation space
  */
-function lerpSnap(current, target, factor) {
-  const remaining = target - current;
-  if (Math.abs(remaining) <= STOP_EPS) {
-    return { value: target, delta: 0 };
+function settleThreshold(channel) {
+  if (channel === 'scale') {
+    const [width, height] = canvas.screenDimensions;
+    return SETTLE_PIXELS / (Math.hypot(width, height) / 2);
   }
-  const value = current + remaining * factor;
-  return { value, delta: Math.abs(target - value) };
+  return SETTLE_PIXELS / animationState.currentView.scale;
 }
 
 /**
- * Get frame delta time and update last frame time.
- * @returns {number} Delta time in seconds since last frame
+ * The selected motion model, falling back to the default when it is not registered (e.g. its module was disabled).
+ * @returns {MotionModel}
  */
-function getFrameDelta() {
+function getMotionModel() {
+  return MOTION_MODELS[settings.motionModel] ?? MOTION_MODELS[DEFAULT_MOTION_MODEL];
+}
+
+/**
+ * Register a motion model so it can be selected in the settings.
+ * @param {string} id - Unique model id, ideally prefixed with the registering package id
+ * @param {MotionModel} model - The model
+ */
+function registerMotionModel(id, model) {
+  if (typeof model?.step !== 'function') {
+    throw new Error(`${MODULE_ID} | Motion model '${id}' must implement step()`);
+  }
+  MOTION_MODELS[id] = model;
+
+  // Keep the settings dropdown in step with the registry
+  const setting = game.settings.settings.get(`${MODULE_ID}.motionModel`);
+  if (setting) setting.choices = getMotionModelChoices();
+}
+
+/**
+ * @returns {Record<string, string>} Setting choices for every registered motion model
+ */
+function getMotionModelChoices() {
+  return Object.fromEntries(Object.entries(MOTION_MODELS).map(([id, model]) => [id, model.label ?? id]));
+}
+
+/**
+ * Closed-form damped spring step, exact for any dt so frame hitches cannot destabilize it.
+ * @param {{value: number, velocity: number, target: number, speed: number, dt: number}} state - Channel state
+ * @param {number} damping - Damping ratio (1 is critically damped, below 1 overshoots)
+ * @returns {{value: number, velocity: number}}
+ */
+function springStep({value, velocity, target, speed, dt}, damping) {
+  const x = value - target;
+  const decay = Math.exp(-damping * speed * dt);
+
+  if (damping >= 1) {
+    const c = velocity + (speed * x);
+    return {
+      value: target + ((x + (c * dt)) * decay),
+      velocity: (velocity - (speed * c * dt)) * decay
+    };
+  }
+
+  const wd = speed * Math.sqrt(1 - (damping ** 2));
+  const b = (velocity + (damping * speed * x)) / wd;
+  const cos = Math.cos(wd * dt);
+  const sin = Math.sin(wd * dt);
+  return {
+    value: target + (((x * cos) + (b * sin)) * decay),
+    velocity: ((velocity * cos) - (((x * wd) + (damping * speed * b)) * sin)) * decay
+  };
+}
+
+/**
+ * Record the pan target during a drag so its release velocity can be measured.
+ * @param {{x: number, y: number}} view - Pan target after the drag step
+ */
+function recordDragSample(view) {
   const now = performance.now();
-  const dt = Math.max(0, (now - animationState.lastViewTime) / 1000);
-  animationState.lastViewTime = now;
-  return dt;
+  const samples = animationState.dragSamples;
+  samples.push({t: now, x: view.x, y: view.y});
+
+  // Only the most recent motion matters for the release velocity
+  while (now - samples[0].t > INERTIA_SAMPLE_MS) samples.shift();
+}
+
+/**
+ * Start an inertial fling from the velocity of the drag that just ended.
+ * Drags follow the Pan Momentum setting; touch gestures always fling, unless motion is reduced.
+ * @param {Canvas} canvas - The game canvas
+ * @param {{touch?: boolean}} [options] - With touch, the drag was a two-finger gesture
+ */
+function releaseDragInertia(canvas, {touch = false} = {}) {
+  const samples = animationState.dragSamples;
+  animationState.dragSamples = [];
+  const enabled = touch ? !settings.reducedMotion : settings.enableInertia;
+  if (!enabled || samples.length < 2) return;
+
+  // Holding the pointer still before releasing cancels the fling
+  const first = samples[0];
+  const last = samples.at(-1);
+  const elapsed = (last.t - first.t) / 1000;
+  if (elapsed <= 0 || performance.now() - last.t > INERTIA_SAMPLE_MS) return;
+
+  // Velocity is in world units per second; the cap is in screen pixels per second
+  const scale = animationState.targetView.scale;
+  let vx = (last.x - first.x) / elapsed;
+  let vy = (last.y - first.y) / elapsed;
+  const speed = Math.hypot(vx, vy) * scale;
+  if (speed < INERTIA_STOP_SPEED) return;
+  if (speed > settings.inertiaMaxSpeed) {
+    const k = settings.inertiaMaxSpeed / speed;
+    vx *= k;
+    vy *= k;
+  }
+
+  animationState.inertia = {x: vx, y: vy};
+  startViewTicker(canvas);
+}
+
+/**
+ * Advance an inertial fling by one frame, moving the pan target and applying friction.
+ * @param {Canvas} canvas - The game canvas
+ * @param {number} dt - Frame delta in seconds
+ * @returns {boolean} True while the fling is still moving the target
+ */
+function stepInertia(canvas, dt) {
+  const inertia = animationState.inertia;
+  if (!inertia) return false;
+
+  const target = animationState.targetView;
+  const x = target.x + (inertia.x * dt);
+  const y = target.y + (inertia.y * dt);
+  const desired = constrainInputView(canvas, {x, y, scale: target.scale});
+
+  // Running into the scene bounds absorbs the momentum on that axis; elastic bounds brake it instead
+  const bounded = canvas._constrainView({x, y, scale: target.scale});
+  const brake = settings.elasticBounds ? Math.exp(-ELASTIC_BRAKE * dt) : 0;
+  if (Math.abs(bounded.x - x) > STOP_EPS) inertia.x *= brake;
+  if (Math.abs(bounded.y - y) > STOP_EPS) inertia.y *= brake;
+  target.x = desired.x;
+  target.y = desired.y;
+
+  const decay = Math.exp(-settings.inertiaFriction * dt);
+  inertia.x *= decay;
+  inertia.y *= decay;
+  if (Math.hypot(inertia.x, inertia.y) * target.scale < INERTIA_STOP_SPEED) {
+    animationState.inertia = null;
+  }
+  return true;
+}
+
+/**
+ * Replace the handlers of a keybinding action. Core copies each action's handlers into
+ * game.keybindings.activeKeys when keybindings initialize, which is before the ready hook, so the live
+ * bindings are patched along with the action that later rebuilds copy from.
+ * @param {string} id - Keybinding action id
+ * @param {{onDown?: Function, onUp?: Function}} handlers - Replacement handlers
+ */
+function patchKeybinding(id, handlers) {
+  Object.assign(game.keybindings.actions.get(id), handlers);
+  for (const bindings of game.keybindings.activeKeys?.values() ?? []) {
+    for (const binding of bindings) {
+      if (binding.action === id) Object.assign(binding, handlers);
+    }
+  }
+}
+
+/**
+ * Route core's pan and zoom keybindings through the glide engine.
+ * The actions are wrapped in place; anything on a disabled track, or a pan that would
+ * move controlled objects instead of the canvas, falls through to core.
+ */
+function wrapKeyboardActions() {
+  for (const id of [...Object.keys(KEY_PAN_ACTIONS), ...Object.keys(KEY_ZOOM_ACTIONS)]) {
+    const action = game.keybindings.actions.get(id);
+    if (!action) continue;
+
+    const {onDown, onUp} = action;
+    patchKeybinding(id, {
+      onDown: function keyboardGlideDown(context) {
+        if (!canGlideKeyboard(id)) return onDown?.call(this, context);
+
+        // Key repeats only keep the ticker alive; velocity comes from the held set
+        interruptGlide(id in KEY_ZOOM_ACTIONS ? ['scale'] : ['x', 'y']);
+        if (!animationState.viewTicker) alignTargetsToCurrent(canvas);
+        animationState.keyboard.held.add(id);
+        startViewTicker(canvas);
+        return true;
+      },
+      onUp: function keyboardGlideUp(context) {
+        if (!animationState.keyboard.held.delete(id)) return onUp?.call(this, context);
+        return true;
+      }
+    });
+  }
+
+  // Key-up events are lost while the window is unfocused
+  window.addEventListener('blur', () => animationState.keyboard.held.clear());
+}
+
+/**
+ * Whether a keybinding action should be handled by the glide engine.
+ * @param {string} id - Keybinding action id
+ * @returns {boolean}
+ */
+function canGlideKeyboard(id) {
+  if (!settings.enableKeyboard || !canvas?.ready) return false;
+  if (id in KEY_ZOOM_ACTIONS) return animationState.tracks.scale;
+
+  // Core moves controlled objects instead of panning when there are any
+  return animationState.tracks.x && !canvas.activeLayer?.controlled?.length;
+}
+
+/**
+ * Advance held-key velocity by one frame and move the view target with it.
+ * Velocity eases toward the held direction, so presses ramp up and releases coast out.
+ * @param {Canvas} canvas - The game canvas
+ * @param {number} dt - Frame delta in seconds
+ * @returns {boolean} True while keyboard motion is still moving the target
+ */
+function stepKeyboard(canvas, dt) {
+  const keyboard = animationState.keyboard;
+  let dirX = 0;
+  let dirY = 0;
+  let dirZ = 0;
+  for (const id of keyboard.held) {
+    dirX += KEY_PAN_ACTIONS[id]?.x ?? 0;
+    dirY += KEY_PAN_ACTIONS[id]?.y ?? 0;
+    dirZ += KEY_ZOOM_ACTIONS[id] ?? 0;
+  }
+
+  // Diagonals move at the same speed as a single direction
+  const length = Math.hypot(dirX, dirY);
+  if (length) {
+    dirX /= length;
+    dirY /= length;
+  }
+
+  const factor = expDecay(KEY_ACCEL, dt);
+  keyboard.pan.x += ((dirX * settings.keyboardPanSpeed) - keyboard.pan.x) * factor;
+  keyboard.pan.y += ((dirY * settings.keyboardPanSpeed) - keyboard.pan.y) * factor;
+  keyboard.zoom += ((dirZ * KEY_ZOOM_RATE) - keyboard.zoom) * factor;
+
+  const panning = Math.hypot(keyboard.pan.x, keyboard.pan.y) >= INERTIA_STOP_SPEED;
+  const zooming = Math.abs(keyboard.zoom) >= KEY_ZOOM_STOP;
+  if (!keyboard.held.size && !panning && !zooming) {
+    keyboard.pan = {x: 0, y: 0};
+    keyboard.zoom = 0;
+    return false;
+  }
+
+  // Pan velocity is in screen pixels per second, so convert at the scale the view is heading to
+  const target = animationState.targetView;
+  const scale = canvas._constrainView({scale: target.scale * (settings.zoomStep ** (keyboard.zoom * dt))}).scale;
+  const desired = canvas._constrainView({
+    x: target.x + (keyboard.pan.x * dt / scale),
+    y: target.y + (keyboard.pan.y * dt / scale),
+    scale
+  });
+
+  if (panning) animationState.zoomAnchor = null;
+  target.x = desired.x;
+  target.y = desired.y;
+  target.scale = scale;
+  return true;
+}
+
+/**
+ * Track the pointer for edge scrolling and start the ticker once it enters the edge zone.
+ * @param {PointerEvent} event - Window pointer event
+ */
+function onEdgePointerMove(event) {
+  const edge = animationState.edge;
+  edge.pointer = {x: event.clientX, y: event.clientY};
+  edge.hovering = event.target === canvas?.app?.view;
+  if (canvas?.ready && edgeScrollVelocity()) startViewTicker(canvas);
 }
 
-Hooks.once('init', () => {
+/**
+ * Current edge-scroll velocity. Speed grows with how deep the pointer is in the edge zone.
+ * @returns {{x: number, y: number}|null} Velocity in screen pixels per second, or null when not scrolling
+ */
+function edgeScrollVelocity() {
+  const edge = animationState.edge;
+  if ((settings.edgeScroll === EDGE_SCROLL.OFF) || !animationState.tracks.x || !edge.pointer) return null;
+  if (!edge.dragging && !((settings.edgeScroll === EDGE_SCROLL.HOVER) && edge.hovering)) return null;
+  if (isInterfaceFocused()) return null;
+
+  const margin = settings.edgeScrollMargin;
+  const axis = (position, size) => {
+    const depth = position < margin ? -(margin - position) : position > size - margin ? position - (size - margin) : 0;
+    return Math.sign(depth) * (Math.min(Math.abs(depth) / margin, 1) ** 2);
+  };
+  const x = axis(edge.pointer.x, window.innerWidth);
+  const y = axis(edge.pointer.y, window.innerHeight);
+  if (!x && !y) return null;
+  return {x: x * settings.edgeScrollSpeed, y: y * settings.edgeScrollSpeed};
+}
+
+/**
+ * Whether the browser window has lost focus or an application window has it, which pauses edge scrolling.
+ * @returns {boolean}
+ */
+function isInterfaceFocused() {
+  if (!document.hasFocus()) return true;
+  return !!document.activeElement?.closest('.application, .app');
+}
+
+/**
+ * Advance edge scrolling by one frame, moving the pan target.
+ * @param {Canvas} canvas - The game canvas
+ * @param {number} dt - Frame delta in seconds
+ * @returns {boolean} True while the pointer keeps the view scrolling
+ */
+function stepEdgeScroll(canvas, dt) {
+  const velocity = edgeScrollVelocity();
+  if (!velocity) return false;
+
+  interruptGlide(['x', 'y']);
+  animationState.zoomAnchor = null;
+
+  // Velocity is in screen pixels per second, so convert at the scale the view is heading to
+  const target = animationState.targetView;
+  const desired = canvas._constrainView({
+    x: target.x + (velocity.x * dt / target.scale),
+    y: target.y + (velocity.y * dt / target.scale),
+    scale: target.scale
+  });
+  target.x = desired.x;
+  target.y = desired.y;
+  return true;
+}
+
+/**
+ * Move the pan target for a drag, using the same math as core's right-drag.
+ * Shared by right-drag and the configurable pan buttons.
+ * @param {Canvas} canvas - The game canvas
+ * @param {{x: number, y: number}} origin - Canvas coordinates where the drag started
+ * @param {{x: number, y: number}} destination - Canvas coordinates under the pointer now
+ */
+function glideDrag(canvas, origin, destination) {
+  const dx = destination.x - origin.x;
+  const dy = destination.y - origin.y;
+  const mod = CONFIG.Canvas.dragSpeedModifier;
+
+  interruptGlide(['x', 'y']);
+  syncViewState(canvas);
+  pauseFollow();
+
+  // INFERENCE CONTRACT: Must provide animationState.targetView.scale explicitly
+  // The scale track may be animating, so we can't let it be inferred
+  const desired = constrainInputView(canvas, {
+    x: canvas.stage.pivot.x - (dx * mod),
+    y: canvas.stage.pivot.y - (dy * mod),
+    scale: animationState.targetView.scale
+  });
+
+  // A drag takes over the pivot, so any zoom anchor no longer applies
+  animationState.zoomAnchor = null;
+  animationState.inertia = null;
+  animationState.targetView = {x: desired.x, y: desired.y, scale: animationState.targetView.scale};
+  recordDragSample(animationState.targetView);
+  startViewTicker(canvas);
+
+  // Mirror core behavior: reset token tab cycling
+  canvas.tokens._tabIndex = null;
+}
+
+/**
+ * Whether a pan button is enabled by the panButton setting.
+ * @param {string} button - One of PAN_BUTTONS.MIDDLE or PAN_BUTTONS.SPACE
+ * @returns {boolean}
+ */
+function usesPanButton(button) {
+  return (settings.panButton === PAN_BUTTONS.ALL) || (settings.panButton === button);
+}
+
+/**
+ * Start a pan-button drag. Listens in the capture phase above the board, so the press never reaches
+ * the PIXI event system and no MouseInteractionManager starts a selection, ruler or token drag.
+ * @param {PointerEvent} event - Document pointer event
+ */
+function onPanPointerDown(event) {
+  if (!canvas?.ready || (event.target !== canvas.app.view) || animationState.panDrag) return;
+  const middle = (event.button === 1) && usesPanButton(PAN_BUTTONS.MIDDLE);
+  const space = (event.button === 0) && animationState.space.held && usesPanButton(PAN_BUTTONS.SPACE);
+  if (!middle && !space) return;
+
+  // Also suppresses the browser's middle-click autoscroll
+  event.preventDefault();
+  event.stopPropagation();
+  if (space) animationState.space.used = true;
+  event.target.setPointerCapture(event.pointerId);
+  animationState.panDrag = {
+    pointerId: event.pointerId,
+    origin: canvas.canvasCoordinatesFromClient({x: event.clientX, y: event.clientY})
+  };
+}
+
+/**
+ * Follow the pointer during a pan-button drag.
+ * Like core's interaction data, the origin stays fixed in canvas coordinates while the destination is
+ * re-projected through the moving stage each event.
+ * @param {PointerEvent} event - Window pointer event
+ */
+function onPanPointerMove(event) {
+  const drag = animationState.panDrag;
+  if (!drag || (event.pointerId !== drag.pointerId) || !canvas?.ready) return;
+  glideDrag(canvas, drag.origin, canvas.canvasCoordinatesFromClient({x: event.clientX, y: event.clientY}));
+}
+
+/**
+ * End a pan-button drag, handing it off to an inertial fling like a right-drag release.
+ * @param {PointerEvent} event - Window pointer event
+ */
+function onPanPointerUp(event) {
+  const drag = animationState.panDrag;
+  if (!drag || (event.pointerId !== drag.pointerId)) return;
+  animationState.panDrag = null;
+  event.stopPropagation();
+  if (canvas?.ready && (event.type === 'pointerup')) releaseDragInertia(canvas);
+  else animationState.dragSamples = [];
+}
+
+/**
+ * Track whether Space is held for Space+left-drag panning.
+ * @param {KeyboardEvent} event - Window keyboard event
+ */
+function onSpaceKey(event) {
+  if (event.code !== 'Space') return;
+  const space = animationState.space;
+  if (event.type === 'keydown') {
+    // Typing a space into a form field is not a pan
+    if (!event.repeat && !event.target?.closest?.('input, textarea, select, [contenteditable]')) space.held = true;
+    return;
+  }
+
+  // A tap that did not pan still toggles pause
+  if (space.pendingPause && !space.used) space.pendingPause();
+  space.held = false;
+  space.used = false;
+  space.pendingPause = null;
+}
+
+/**
+ * Core binds Space to pause. While Space+left-drag panning is enabled, pause waits for the key to be
+ * released and is skipped if the key was used to pan.
+ */
+function wrapPauseAction() {
+  const action = game.keybindings.actions.get('core.pause');
+  if (!action) return;
+
+  const {onDown} = action;
+  patchKeybinding('core.pause', {
+    onDown: function spacePanPauseDown(context) {
+      if (!usesPanButton(PAN_BUTTONS.SPACE) || (context.key !== 'Space')) return onDown?.call(this, context);
+      animationState.space.pendingPause = () => onDown?.call(this, context);
+      return true;
+    }
+  });
+}
+
+/**
+ * Track a touch on the board. A second finger turns the touches into a pinch-and-pan gesture; single
+ * touches are left to core, so tapping and dragging tokens keep working.
+ * @param {PointerEvent} event - Document pointer event
+ */
+function onTouchPointerDown(event) {
+  if ((event.pointerType !== 'touch') || !settings.enableTouch || !canvas?.ready) return;
+  if (event.target !== canvas.app.view) return;
+
+  const touch = animationState.touch;
+  touch.pointers.set(event.pointerId, {x: event.clientX, y: event.clientY});
+  if (touch.pointers.size < 2) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+  if (!touch.gesture) {
+    // The first finger already started a core interaction, which the gesture replaces
+    canvas.currentMouseManager?.cancel?.();
+    startTouchGesture(canvas);
+  }
+  for (const id of touch.pointers.keys()) touch.captured.add(id);
+}
+
+/**
+ * Follow a touch, updating the gesture when it is part of one.
+ * @param {PointerEvent} event - Window pointer event
+ */
+function onTouchPointerMove(event) {
+  const touch = animationState.touch;
+  const pointer = touch.pointers.get(event.pointerId);
+  if (!pointer) return;
+  pointer.x = event.clientX;
+  pointer.y = event.clientY;
+  if (!touch.captured.has(event.pointerId)) return;
+
+  event.stopPropagation();
+  if (touch.gesture && canvas?.ready) updateTouchGesture(canvas);
+}
+
+/**
+ * Lift a touch. Dropping below two fingers ends the gesture with an inertial fling; fingers that were
+ * part of it stay captured until they lift, so core never sees half a gesture.
+ * @param {PointerEvent} event - Window pointer event
+ */
+function onTouchPointerUp(event) {
+  const touch = animationState.touch;
+  if (!touch.pointers.delete(event.pointerId)) return;
+  if (!touch.captured.delete(event.pointerId)) return;
+  event.stopPropagation();
+  if (!touch.gesture || !canvas?.ready) return;
+
+  // Rebase onto the remaining pair so the view does not jump
+  if (touch.pointers.size >= 2) {
+    startTouchGesture(canvas);
+    return;
+  }
+
+  touch.gesture = null;
+  if (event.type === 'pointerup') releaseDragInertia(canvas, {touch: true});
+  else animationState.dragSamples = [];
+}
+
+/**
+ * Midpoint and distance between the first two touches, in client coordinates.
+ * @returns {{mid: {x: number, y: number}, distance: number}}
+ */
+function touchSpan() {
+  const [a, b] = animationState.touch.pointers.values();
+  return {
+    mid: {x: (a.x + b.x) / 2, y: (a.y + b.y) / 2},
+    distance: Math.max(Math.hypot(b.x - a.x, b.y - a.y), 1)
+  };
+}
+
+/**
+ * Pin the canvas point under the pinch midpoint, along with the scale and finger spread it started at.
+ * @param {Canvas} canvas - The game canvas
+ */
+function startTouchGesture(canvas) {
+  interruptGlide();
+  syncViewState(canvas);
+  if (!animationState.viewTicker) alignTargetsToCurrent(canvas);
+
+  const {mid, distance} = touchSpan();
+  animationState.touch.gesture = {
+    anchor: viewAnchor(canvas.canvasCoordinatesFromClient(mid)),
+    mid,
+    distance,
+    scale: animationState.currentView.scale
+  };
+}
+
+/**
+ * Move the view target so the pinned canvas point follows the midpoint, scaled by the finger spread.
+ * @param {Canvas} canvas - The game canvas
+ */
+function updateTouchGesture(canvas) {
+  const gesture = animationState.touch.gesture;
+  const {mid, distance} = touchSpan();
+
+  const scale = constrainInputScale(canvas, gesture.scale * (distance / gesture.distance));
+  const offset = {x: gesture.anchor.offset.x + (mid.x - gesture.mid.x), y: gesture.anchor.offset.y + (mid.y - gesture.mid.y)};
+  const pivot = anchorPivot({world: gesture.anchor.world, offset}, scale);
+  const desired = constrainInputView(canvas, {x: pivot.x, y: pivot.y, scale});
+
+  interruptGlide();
+  pauseFollow();
+  animationState.zoomAnchor = null;
+  animationState.inertia = null;
+  animationState.targetView = {x: desired.x, y: desired.y, scale: desired.scale};
+  recordDragSample(animationState.targetView);
+  startViewTicker(canvas);
+}
+
+/**
+ * Constrain an input's zoom target. With elastic bounds the scale may stretch past the zoom limits.
+ * @param {Canvas} canvas - The game canvas
+ * @param {number} scale - Requested scale
+ * @returns {number} Scale to use as the target
+ */
+function constrainInputScale(canvas, scale) {
+  if (!settings.elasticBounds) return canvas._constrainView({scale}).scale;
+
+  // Zoom overshoot is measured where it shows most, at the left and right edges of the screen
+  const min = canvas._constrainView({scale: 1e-6}).scale;
+  const max = canvas._constrainView({scale: 1e6}).scale;
+  const reach = Math.log1p(settings.elasticOvershoot / (canvas.screenDimensions[0] / 2));
+  const from = Math.log(animationState.targetView.scale);
+  animationState.elasticInputTime = performance.now();
+  return Math.exp(rubberBand(from, Math.log(scale), Math.log(min), Math.log(max), reach));
+}
+
+/**
+ * Constrain an input's pan target. With elastic bounds the pivot may stretch past the scene bounds.
+ * The scale is used as given, so zooming inputs resolve it through constrainInputScale first.
+ * @param {Canvas} canvas - The game canvas
+ * @param {{x: number, y: number, scale: number}} view - Requested view
+ * @returns {{x: number, y: number, scale: number}} View to use as the target
+ */
+function constrainInputView(canvas, view) {
+  if (!settings.elasticBounds) return canvas._constrainView(view);
+
+  const min = canvas._constrainView({x: -1e9, y: -1e9, scale: view.scale});
+  const max = canvas._constrainView({x: 1e9, y: 1e9, scale: view.scale});
+  const reach = settings.elasticOvershoot / view.scale;
+  const from = animationState.targetView;
+  animationState.elasticInputTime = performance.now();
+  return {
+    x: rubberBand(from.x, view.x, min.x, max.x, reach),
+    y: rubberBand(from.y, view.y, min.y, max.y, reach),
+    scale: view.scale
+  };
+}
+
+/**
+ * Move a value past its bounds with growing resistance, approaching but never reaching the full reach.
+ * The previous value may already be stretched; it is unstretched first so repeated inputs accumulate
+ * the same way a single large one would.
+ * @param {number} from - Current value, possibly stretched
+ * @param {number} to - Requested value, as from plus the input's movement
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @param {number} reach - Largest possible overshoot
+ * @returns {number}
+ */
+function rubberBand(from, to, min, max, reach) {
+  const give = 1 - settings.elasticResistance;
+  const stretch = excess => reach * (1 - (1 / (1 + (give * excess / reach))));
+  const unstretch = overshoot => (reach / give) * ((1 / (1 - Math.min(overshoot / reach, 0.99))) - 1);
+
+  const raw = (from < min ? min - unstretch(min - from) : from > max ? max + unstretch(from - max) : from) + (to - from);
+  if (raw < min) return min - stretch(min - raw);
+  if (raw > max) return max + stretch(raw - max);
+  return raw;
+}
+
+/**
+ * Spring a stretched view target back inside the bounds once input lets go of it.
+ * @param {Canvas} canvas - The game canvas
+ * @returns {boolean} True while input is still holding the target past the bounds
+ */
+function stepElastic(canvas) {
+  if (!settings.elasticBounds) return false;
+  const target = animationState.targetView;
+  const bounded = canvas._constrainView(target);
+  if (TRACKS.every(channel => Math.abs(bounded[channel] - target[channel]) <= STOP_EPS)) return false;
+
+  // Drags and pinches hold the stretch until release; wheel ticks briefly after their last event
+  const holding = animationState.dragSamples.length || animationState.touch.gesture
+    || (performance.now() - animationState.elasticInputTime < ELASTIC_HOLD_MS);
+  if (holding) return true;
+
+  // The channels glide back with the active motion model, so the springy models bounce
+  animationState.zoomAnchor = null;
+  animationState.targetView = bounded;
+  return false;
+}
+
+/**
+ * Effective value of a setting that scenes can override, following the viewed scene's policy.
+ * @param {string} property - Key of the settings object, one of SCENE_SETTINGS
+ * @returns {number}
+ */
+function resolveSceneSetting(property) {
+  const key = SCENE_SETTINGS[property];
+  const value = getSetting(key);
+  const override = sceneState.overrides[property];
+  if ((override === undefined) || ((property in REDUCED_MOTION_PROFILE) && settings.reducedMotion)) return value;
+
+  // Under the user policy, a value the user chose themselves beats the scene's, unless the GM locked it
+  const customized = hasClientValue(key) && (lockMode(key) !== LOCK_MODES.VALUE);
+  return (sceneState.policy === SCENE_POLICIES.USER) && customized ? value : override;
+}
+
+/**
+ * Read the viewed scene's overrides from its flags and apply them: speeds and zoom step to the settings
+ * object, zoom limits to CONFIG.Canvas. The view is re-constrained if the new limits exclude it.
+ * @param {Canvas} canvas - The game canvas
+ */
+function applySceneOverrides(canvas) {
+  const flags = canvas.scene?.flags?.[MODULE_ID] ?? {};
+  const positive = value => (Number.isFinite(value) && (value > 0)) ? value : undefined;
+
+  sceneState.overrides = {};
+  for (const property of Object.keys(SCENE_SETTINGS)) {
+    const value = positive(flags[property]);
+    if ((value !== undefined) && ((property !== 'zoomStep') || (value > 1))) sceneState.overrides[property] = value;
+  }
+  sceneState.policy = Object.values(SCENE_POLICIES).includes(flags.policy) ? flags.policy : SCENE_POLICIES.SCENE;
+  for (const property of Object.keys(SCENE_SETTINGS)) settings[property] = resolveSceneSetting(property);
+
+  // Zoom limits always come from the scene; core's are restored for scenes without them
+  sceneState.zoomLimits ??= {min: CONFIG.Canvas.minZoom, max: CONFIG.Canvas.maxZoom};
+  const min = positive(flags.minZoom) ?? sceneState.zoomLimits.min;
+  const max = positive(flags.maxZoom) ?? sceneState.zoomLimits.max;
+  CONFIG.Canvas.minZoom = Math.min(min, max);
+  CONFIG.Canvas.maxZoom = Math.max(min, max);
+
+  if (!canvas.ready) return;
+  const pivot = canvas.stage.pivot;
+  const constrained = canvas._constrainView({x: pivot.x, y: pivot.y, scale: canvas.stage.scale.x});
+  if (constrained.scale !== canvas.stage.scale.x) canvas.pan(constrained);
+}
+
+/**
+ * Add the EZGlide section to the Scene Configuration sheet. Fields are named after the scene's flags,
+ * so the sheet saves them with the rest of the form; a cleared field unsets its override.
+ * @param {SceneConfig} app - The scene sheet
+ * @param {HTMLElement} html - The sheet's element
+ */
+function injectSceneConfig(app, html) {
+  const scene = app.document;
+  const {createFormGroup, createNumberInput, createSelectInput} = foundry.applications.fields;
+  html.querySelector(`fieldset.${MODULE_ID}`)?.remove();
+
+  const fieldset = document.createElement('fieldset');
+  fieldset.classList.add(MODULE_ID);
+  const legend = document.createElement('legend');
+  legend.textContent = game.i18n.localize('ez-glide.sceneConfig.legend');
+  const hint = document.createElement('p');
+  hint.classList.add('hint');
+  hint.textContent = game.i18n.localize('ez-glide.sceneConfig.hint');
+  fieldset.append(legend, hint);
+
+  const fields = {
+    ...Object.fromEntries(Object.entries(SCENE_SETTINGS).map(([property, key]) => {
+      return [property, game.settings.settings.get(`${MODULE_ID}.${key}`).range];
+    })),
+    ...SCENE_ZOOM_LIMITS
+  };
+  for (const [property, range] of Object.entries(fields)) {
+    fieldset.append(createFormGroup({
+      label: `ez-glide.sceneConfig.${property}`,
+      localize: true,
+      input: createNumberInput({
+        name: `flags.${MODULE_ID}.${property}`,
+        value: scene.getFlag(MODULE_ID, property) ?? null,
+        placeholder: game.i18n.localize('ez-glide.sceneConfig.placeholder'),
+        ...range
+      })
+    }));
+  }
+
+  fieldset.append(createFormGroup({
+    label: 'ez-glide.sceneConfig.policy.name',
+    hint: 'ez-glide.sceneConfig.policy.hint',
+    localize: true,
+    input: createSelectInput({
+      name: `flags.${MODULE_ID}.policy`,
+      value: scene.getFlag(MODULE_ID, 'policy') ?? SCENE_POLICIES.SCENE,
+      options: [
+        {value: SCENE_POLICIES.SCENE, label: 'ez-glide.sceneConfig.policy.choices.scene'},
+        {value: SCENE_POLICIES.USER, label: 'ez-glide.sceneConfig.policy.choices.user'}
+      ],
+      localize: true
+    })
+  }));
+
+  const tab = html.querySelector('.tab[data-tab="basics"]') ?? html.querySelector('.window-content') ?? html;
+  tab.append(fieldset);
+}
+
+/**
+ * Resolve a setting through the world camera policy. The reduced-motion profile comes first, then a GM
+ * lock, then the user's own value, then the world default, then the registered default. GMs are never locked.
+ * @param {string} key - Setting key
+ * @returns {*}
+ */
+function getSetting(key) {
+  // Accessibility comes before any policy
+  if ((key in REDUCED_MOTION_PROFILE) && settings.reducedMotion) return REDUCED_MOTION_PROFILE[key];
+
+  // Policy settings inherit the world default through their registered default (see applyWorldDefaults)
+  const worldValue = game.settings.settings.get(`${MODULE_ID}.${key}`).default;
+  const value = game.settings.get(MODULE_ID, key);
+
+  switch (lockMode(key)) {
+    case LOCK_MODES.VALUE: return worldValue;
+    case LOCK_MODES.MAX: return Math.min(value, worldValue);
+    case LOCK_MODES.MIN: return Math.max(value, worldValue);
+    default: return value;
+  }
+}
+
+/**
+ * How the GM has locked a setting for the current user.
+ * @param {string} key - Setting key
+ * @returns {string|null} One of LOCK_MODES, or null when the setting is free
+ */
+function lockMode(key) {
+  if (game.user.isGM) return null;
+  return game.settings.get(MODULE_ID, 'lockedSettings')[key] ?? null;
+}
+
+/**
+ * Whether the user has their own value for a client setting, as opposed to inheriting its default.
+ * @param {string} key - Setting key
+ * @returns {boolean}
+ */
+function hasClientValue(key) {
+  return game.settings.get(MODULE_ID, key) !== game.settings.settings.get(`${MODULE_ID}.${key}`).default;
+}
+
+/**
+ * The default a policy setting was registered with, before the GM's world default replaced it.
+ * @param {object} setting - Setting config
+ * @returns {*}
+ */
+function moduleDefault(setting) {
+  return policyState.moduleDefaults[setting.key] ?? setting.default;
+}
+
+/**
+ * Make the GM's world defaults the registered defaults of the policy settings, so game.settings.get and
+ * the settings sheet show what a user inherits until they choose their own value.
+ */
+function applyWorldDefaults() {
+  const defaults = game.settings.get(MODULE_ID, 'worldDefaults');
+  for (const setting of policySettings()) {
+    policyState.moduleDefaults[setting.key] ??= setting.default;
+    setting.default = defaults[setting.key] ?? policyState.moduleDefaults[setting.key];
+  }
+}
+
+/**
+ * Client settings the world camera policy can set defaults for and lock, in registration order.
+ * @returns {object[]} Setting configurations
+ */
+function policySettings() {
+  return [...game.settings.settings.values()].filter(setting => (setting.namespace === MODULE_ID)
+    && (setting.scope === 'client') && setting.config && !PERSONAL_SETTINGS.includes(setting.key));
+}
+
+/**
+ * Whether the reduced-motion profile is active, from the user's override or else the OS preference.
+ * Resolved into settings.reducedMotion by loadSettings; per-frame code reads that instead.
+ * @returns {boolean}
+ */
+function isReducedMotion() {
+  const mode = game.settings.get(MODULE_ID, 'reducedMotion');
+  if (mode === REDUCED_MOTION.AUTO) return reducedMotionQuery?.matches ?? false;
+  return mode === REDUCED_MOTION.ON;
+}
+
+/**
+ * Re-resolve every setting after something the resolution depends on changes: the world camera policy
+ * or the reduced-motion preference.
+ */
+function refreshSettings() {
+  if (errorState.conflictingPackage) return;
+  loadSettings();
+  switchModeLive();
+}
+
+/**
+ * Mark settings the GM has locked in the Configure Settings sheet. Players see the enforced value on a
+ * disabled field, or the limit on a capped one; GMs see which settings players cannot change.
+ * @param {SettingsConfig} app - The settings sheet
+ * @param {HTMLElement} html - The sheet's element
+ */
+function markLockedSettings(app, html) {
+  const locks = game.settings.get(MODULE_ID, 'lockedSettings');
+  for (const [key, mode] of Object.entries(locks)) {
+    const input = html.querySelector(`[name="${MODULE_ID}.${key}"]`);
+    const group = input?.closest('.form-group');
+    if (!group || group.classList.contains(`${MODULE_ID}-locked`)) continue;
+
+    const value = game.settings.settings.get(`${MODULE_ID}.${key}`)?.default;
+    group.classList.add(`${MODULE_ID}-locked`);
+    const icon = document.createElement('i');
+    icon.className = 'fa-solid fa-lock';
+    group.querySelector('label')?.prepend(icon, ' ');
+
+    const hint = document.createElement('p');
+    hint.classList.add('hint');
+    hint.textContent = game.user.isGM
+      ? game.i18n.localize(`ez-glide.policy.indicator.gm.${mode}`)
+      : game.i18n.format(`ez-glide.policy.indicator.player.${mode}`, {value});
+    group.append(hint);
+
+    if (!game.user.isGM && (mode === LOCK_MODES.VALUE)) {
+      if (input.type === 'checkbox') input.checked = value;
+      else input.value = value;
+      input.disabled = true;
+    }
+  }
+}
+
+/**
+ * GM form for world defaults and locks. Each client setting gets a default that users inherit until
+ * they change it, and an optional lock that holds non-GM users to that default or caps them by it.
+ */
+class CameraPolicyConfig extends foundry.applications.api.ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-camera-policy`,
+    tag: 'form',
+    classes: ['standard-form'],
+    window: {title: 'ez-glide.policy.title', icon: 'fa-solid fa-lock', contentClasses: ['standard-form']},
+    position: {width: 600, height: 'auto'},
+    form: {handler: CameraPolicyConfig.#onSubmit, closeOnSubmit: true},
+    actions: {useMine: CameraPolicyConfig.#onUseMine}
+  };
+
+  /** @override */
+  async _renderHTML() {
+    const {createCheckboxInput, createFormGroup, createNumberInput, createSelectInput} = foundry.applications.fields;
+    const defaults = game.settings.get(MODULE_ID, 'worldDefaults');
+    const locks = game.settings.get(MODULE_ID, 'lockedSettings');
+    const content = document.createElement('div');
+
+    const hint = document.createElement('p');
+    hint.classList.add('hint');
+    hint.textContent = game.i18n.localize('ez-glide.policy.hint');
+    content.append(hint);
+
+    for (const setting of policySettings()) {
+      const name = `defaults.${setting.key}`;
+      const value = defaults[setting.key] ?? moduleDefault(setting);
+      let input;
+      if (setting.type === Boolean) input = createCheckboxInput({name, value});
+      else if (setting.choices) {
+        const options = Object.entries(setting.choices).map(([choice, label]) => ({value: choice, label}));
+        input = createSelectInput({name, value, options, localize: true});
+      } else input = createNumberInput({name, value, ...setting.range});
+
+      const modes = setting.type === Number ? Object.values(LOCK_MODES) : [LOCK_MODES.VALUE];
+      const lock = createSelectInput({
+        name: `locks.${setting.key}`,
+        value: locks[setting.key] ?? '',
+        blank: game.i18n.localize('ez-glide.policy.locks.none'),
+        options: modes.map(mode => ({value: mode, label: `ez-glide.policy.locks.${mode}`})),
+        localize: true
+      });
+
+      const fields = document.createDocumentFragment();
+      fields.append(input, lock);
+      content.append(createFormGroup({label: setting.name, hint: setting.hint, input: fields, localize: true}));
+    }
+
+    const footer = document.createElement('footer');
+    footer.classList.add('form-footer');
+    footer.innerHTML = `
+      <button type="button" data-action="useMine"><i class="fa-solid fa-user"></i> ${game.i18n.localize('ez-glide.policy.useMine')}</button>
+      <button type="submit"><i class="fa-solid fa-floppy-disk"></i> ${game.i18n.localize('ez-glide.policy.save')}</button>`;
+    content.append(footer);
+    return content;
+  }
+
+  /** @override */
+  _replaceHTML(result, content) {
+    content.replaceChildren(result);
+  }
+
+  /**
+   * Fill the defaults with the GM's own current settings.
+   * @this {CameraPolicyConfig}
+   */
+  static #onUseMine() {
+    for (const setting of policySettings()) {
+      const input = this.element.elements[`defaults.${setting.key}`];
+      if (!input) continue;
+      const value = getSetting(setting.key);
+      if (input.type === 'checkbox') input.checked = value;
+      else input.value = value;
+    }
+  }
+
+  /**
+   * Save the defaults that differ from the module's own, and the locks that are set.
+   * @this {CameraPolicyConfig}
+   */
+  static async #onSubmit(event, form, formData) {
+    const data = foundry.utils.expandObject(formData.object);
+    const defaults = {};
+    const locks = {};
+    for (const setting of policySettings()) {
+      const value = data.defaults?.[setting.key];
+      if ((value !== undefined) && (value !== null) && (value !== moduleDefault(setting))) defaults[setting.key] = value;
+      if (data.locks?.[setting.key]) locks[setting.key] = data.locks[setting.key];
+    }
+    await game.settings.set(MODULE_ID, 'worldDefaults', defaults);
+    await game.settings.set(MODULE_ID, 'lockedSettings', locks);
+  }
+}
+
+/**
+ * Settings of a preset that the current client can apply: known client settings with values of the
+ * right type, numbers clamped to their slider range. Imported files go through here too.
+ * @param {object} values - Setting values keyed by setting key
+ * @returns {object}
+ */
+function sanitizePreset(values) {
+  const clean = {};
+  for (const setting of policySettings()) {
+    let value = values?.[setting.key];
+    if (setting.type === Boolean) {
+      if (typeof value !== 'boolean') continue;
+    } else if (setting.type === Number) {
+      if (!Number.isFinite(value)) continue;
+      if (setting.range) value = Math.clamp(value, setting.range.min, setting.range.max);
+    } else if ((typeof value !== 'string') || (setting.choices && !(value in setting.choices))) continue;
+    clean[setting.key] = value;
+  }
+  return clean;
+}
+
+/**
+ * Apply a preset to the registered settings. Each setting's onChange updates the settings object;
+ * the mode switch they may ask for runs once at the end, so a preset prompts for a redraw at most once.
+ * @param {object} values - Setting values keyed by setting key
+ * @returns {Promise<void>}
+ */
+async function applyPreset(values) {
+  const clean = sanitizePreset(values);
+  presetState.applying = true;
+  try {
+    for (const [key, value] of Object.entries(clean)) await game.settings.set(MODULE_ID, key, value);
+  } finally {
+    presetState.applying = false;
+  }
+  switchModeLive();
+}
+
+/**
+ * The current value of every client setting, for saving as a custom preset.
+ * @returns {object}
+ */
+function currentPreset() {
+  return Object.fromEntries(policySettings().map(setting => [setting.key, game.settings.get(MODULE_ID, setting.key)]));
+}
+
+/**
+ * Preset picker. Built-in presets cover the motion settings; custom presets capture every setting,
+ * and any preset can be exported to or imported from JSON.
+ */
+class PresetConfig extends foundry.applications.api.ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-presets`,
+    classes: ['standard-form'],
+    window: {title: 'ez-glide.presets.title', icon: 'fa-solid fa-sliders', contentClasses: ['standard-form']},
+    position: {width: 480, height: 'auto'},
+    actions: {
+      apply: PresetConfig.#onApply,
+      save: PresetConfig.#onSave,
+      delete: PresetConfig.#onDelete,
+      export: PresetConfig.#onExport,
+      import: PresetConfig.#onImport
+    }
+  };
+
+  /** @type {string} Key of the selected preset: a built-in id, or `custom.<name>` */
+  #selected = 'builtIn.balanced';
+
+  /** @override */
+  async _renderHTML() {
+    const {createFormGroup, createSelectInput, createTextInput} = foundry.applications.fields;
+    const custom = game.settings.get(MODULE_ID, 'customPresets');
+    const content = document.createElement('div');
+
+    const hint = document.createElement('p');
+    hint.classList.add('hint');
+    hint.textContent = game.i18n.localize('ez-glide.presets.hint');
+    content.append(hint);
+
+    const builtInGroup = game.i18n.localize('ez-glide.presets.groups.builtIn');
+    const customGroup = game.i18n.localize('ez-glide.presets.groups.custom');
+    const options = [
+      ...Object.keys(BUILT_IN_PRESETS).map(id => ({
+        value: `builtIn.${id}`,
+        label: game.i18n.localize(`ez-glide.presets.builtIn.${id}`),
+        group: builtInGroup
+      })),
+      ...Object.keys(custom).sort().map(name => ({value: `custom.${name}`, label: name, group: customGroup}))
+    ];
+    content.append(createFormGroup({
+      label: 'ez-glide.presets.preset',
+      localize: true,
+      input: createSelectInput({name: 'preset', value: this.#selected, options, groups: [builtInGroup, customGroup]})
+    }));
+    content.append(createFormGroup({
+      label: 'ez-glide.presets.name',
+      hint: 'ez-glide.presets.nameHint',
+      localize: true,
+      input: createTextInput({name: 'name', value: ''})
+    }));
+
+    const footer = document.createElement('footer');
+    footer.classList.add('form-footer');
+    for (const [action, icon] of Object.entries(PRESET_ACTIONS)) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.action = action;
+      button.innerHTML = `<i class="${icon}"></i> ${game.i18n.localize(`ez-glide.presets.actions.${action}`)}`;
+      footer.append(button);
+    }
+    content.append(footer);
+    return content;
+  }
+
+  /** @override */
+  _replaceHTML(result, content) {
+    content.replaceChildren(result);
+    content.querySelector('[name="preset"]').addEventListener('change', event => this.#selected = event.target.value);
+  }
+
+  /**
+   * The selected preset's name and setting values.
+   * @returns {{name: string, values: object, custom: boolean}|null}
+   */
+  #getSelected() {
+    const [kind, ...rest] = this.#selected.split('.');
+    const id = rest.join('.');
+    if (kind === 'builtIn') {
+      const values = BUILT_IN_PRESETS[id];
+      return values ? {name: game.i18n.localize(`ez-glide.presets.builtIn.${id}`), values, custom: false} : null;
+    }
+    const values = game.settings.get(MODULE_ID, 'customPresets')[id];
+    return values ? {name: id, values, custom: true} : null;
+  }
+
+  /**
+   * Save a preset under a name, replacing one of the same name, and select it.
+   * @param {string} name - Preset name
+   * @param {object} values - Setting values keyed by setting key
+   */
+  async #store(name, values) {
+    const custom = {...game.settings.get(MODULE_ID, 'customPresets'), [name]: sanitizePreset(values)};
+    await game.settings.set(MODULE_ID, 'customPresets', custom);
+    this.#selected = `custom.${name}`;
+    this.render();
+  }
+
+  /** @this {PresetConfig} */
+  static async #onApply() {
+    const preset = this.#getSelected();
+    if (!preset) return;
+    await applyPreset(preset.values);
+    ui.notifications.info('ez-glide.presets.notifications.applied', {format: {name: preset.name}});
+  }
+
+  /** @this {PresetConfig} */
+  static async #onSave() {
+    const name = this.element.querySelector('[name="name"]').value.trim();
+    if (!name) return ui.notifications.warn('ez-glide.presets.notifications.nameRequired', {localize: true});
+    await this.#store(name, currentPreset());
+    ui.notifications.info('ez-glide.presets.notifications.saved', {format: {name}});
+  }
+
+  /** @this {PresetConfig} */
+  static async #onDelete() {
+    const preset = this.#getSelected();
+    if (!preset?.custom) return ui.notifications.warn('ez-glide.presets.notifications.builtInDelete', {localize: true});
+    const custom = {...game.settings.get(MODULE_ID, 'customPresets')};
+    delete custom[preset.name];
+    await game.settings.set(MODULE_ID, 'customPresets', custom);
+    this.#selected = 'builtIn.balanced';
+    this.render();
+  }
+
+  /** @this {PresetConfig} */
+  static #onExport() {
+    const preset = this.#getSelected();
+    if (!preset) return;
+    const data = {module: MODULE_ID, name: preset.name, settings: preset.values};
+    const filename = `${MODULE_ID}-${preset.name.slugify({strict: true}) || 'preset'}.json`;
+    foundry.utils.saveDataToFile(JSON.stringify(data, null, 2), 'application/json', filename);
+  }
+
+  /** @this {PresetConfig} */
+  static #onImport() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+      try {
+        const data = JSON.parse(await foundry.utils.readTextFromFile(file));
+        const name = String(data?.name ?? '').trim() || file.name.replace(/\.json$/i, '');
+        const values = sanitizePreset(data?.settings);
+        if (!Object.keys(values).length) throw new Error('No EZGlide settings in file');
+        await this.#store(name, values);
+        ui.notifications.info('ez-glide.presets.notifications.imported', {format: {name}});
+      } catch(error) {
+        console.warn(`${MODULE_ID}: Failed to import preset`, error);
+        ui.notifications.error('ez-glide.presets.notifications.importFailed', {localize: true});
+      }
+    });
+    input.click();
+  }
+}
+
+/**
+ * Bookmarks of a scene, numbered by slot, that the current user may see. Players only see the ones the
+ * GM made visible; slots keep their numbers either way, so "Alt+3" means the same spot for everyone.
+ * @param {Scene} [scene] - Scene to read, the viewed scene by default
+ * @returns {{id: string, name: string, x: number, y: number, scale: number, visible: boolean, slot: number}[]}
+ */
+function getBookmarks(scene = canvas?.scene) {
+  const bookmarks = scene?.getFlag(MODULE_ID, 'bookmarks') ?? [];
+  return bookmarks.map((bookmark, index) => ({...bookmark, slot: index + 1}))
+    .filter(bookmark => game.user.isGM || bookmark.visible);
+}
+
+/**
+ * Glide to a bookmark of the viewed scene.
+ * @param {number} slot - One-based bookmark slot
+ * @returns {boolean} Whether there was a bookmark to glide to
+ */
+function glideToBookmark(slot) {
+  const bookmark = getBookmarks().find(bookmark => bookmark.slot === slot);
+  if (!canvas?.ready || !bookmark) return false;
+
+  // A bookmark glide cut short by the user is expected, not an error
+  glideTo({x: bookmark.x, y: bookmark.y, scale: bookmark.scale}).catch(() => {});
+  return true;
+}
+
+/**
+ * Change the viewed scene's bookmark list and save it to the scene flags.
+ * @param {function(object[]): void} change - Mutates the list in place
+ * @returns {Promise<void>}
+ */
+async function updateBookmarks(change) {
+  const scene = canvas?.scene;
+  if (!scene) return;
+  const bookmarks = foundry.utils.deepClone(scene.getFlag(MODULE_ID, 'bookmarks') ?? []);
+  change(bookmarks);
+  await scene.setFlag(MODULE_ID, 'bookmarks', bookmarks);
+}
+
+/**
+ * The view a bookmark should capture: where a glide is heading, or where the camera is.
+ * @returns {{x: number, y: number, scale: number}}
+ */
+function bookmarkView() {
+  if (animationState.viewTicker) return {...animationState.targetView};
+  return {x: canvas.stage.pivot.x, y: canvas.stage.pivot.y, scale: canvas.stage.scale.x};
+}
+
+/**
+ * Bookmark the current view of the viewed scene, hidden from players until the GM shows it.
+ * @returns {Promise<void>}
+ */
+async function saveBookmark() {
+  if (!canvas?.ready) return;
+  let name;
+  await updateBookmarks(bookmarks => {
+    name = game.i18n.format('ez-glide.bookmarks.defaultName', {number: bookmarks.length + 1});
+    bookmarks.push({id: foundry.utils.randomID(), name, ...bookmarkView(), visible: false});
+  });
+  ui.notifications.info('ez-glide.bookmarks.notifications.saved', {format: {name}});
+}
+
+/**
+ * Bookmark manager for the viewed scene. GMs add, rename, reorder, update, delete and show or hide
+ * bookmarks; players get the visible ones to glide to.
+ */
+class BookmarkManager extends foundry.applications.api.ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-bookmarks`,
+    classes: ['standard-form'],
+    window: {title: 'ez-glide.bookmarks.title', icon: 'fa-solid fa-bookmark', contentClasses: ['standard-form']},
+    position: {width: 420, height: 'auto'},
+    actions: {
+      go: BookmarkManager.#onGo,
+      add: BookmarkManager.#onAdd,
+      capture: BookmarkManager.#onCapture,
+      moveUp: BookmarkManager.#onMoveUp,
+      delete: BookmarkManager.#onDelete
+    }
+  };
+
+  /** @override */
+  async _renderHTML() {
+    const content = document.createElement('div');
+    const bookmarks = getBookmarks();
+    const isGM = game.user.isGM;
+
+    if (!bookmarks.length) {
+      const empty = document.createElement('p');
+      empty.classList.add('hint');
+      empty.textContent = game.i18n.localize(isGM ? 'ez-glide.bookmarks.emptyGM' : 'ez-glide.bookmarks.empty');
+      content.append(empty);
+    }
+
+    const list = document.createElement('ol');
+    list.classList.add('plain');
+    for (const bookmark of bookmarks) {
+      const row = document.createElement('li');
+      row.classList.add('form-group');
+      row.dataset.id = bookmark.id;
+
+      const label = document.createElement('label');
+      label.textContent = bookmark.slot <= BOOKMARK_SLOTS ? `${bookmark.slot}.` : '';
+      const fields = document.createElement('div');
+      fields.classList.add('form-fields');
+      if (isGM) {
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.name = 'name';
+        name.value = bookmark.name;
+        const visible = document.createElement('input');
+        visible.type = 'checkbox';
+        visible.name = 'visible';
+        visible.checked = bookmark.visible;
+        visible.dataset.tooltip = 'ez-glide.bookmarks.visible';
+        fields.append(name, visible);
+      } else {
+        const name = document.createElement('span');
+        name.textContent = bookmark.name;
+        fields.append(name);
+      }
+
+      const buttons = isGM ? BOOKMARK_ACTIONS : {go: BOOKMARK_ACTIONS.go};
+      for (const [action, icon] of Object.entries(buttons)) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.classList.add('icon', icon);
+        button.dataset.action = action;
+        button.dataset.tooltip = `ez-glide.bookmarks.actions.${action}`;
+        fields.append(button);
+      }
+      row.append(label, fields);
+      list.append(row);
+    }
+    content.append(list);
+
+    if (isGM) {
+      const footer = document.createElement('footer');
+      footer.classList.add('form-footer');
+      footer.innerHTML = `<button type="button" data-action="add"><i class="fa-solid fa-plus"></i> ${game.i18n.localize('ez-glide.bookmarks.add')}</button>`;
+      content.append(footer);
+    }
+    return content;
+  }
+
+  /** @override */
+  _replaceHTML(result, content) {
+    content.replaceChildren(result);
+
+    // Names and visibility save as soon as they change
+    for (const input of content.querySelectorAll('input')) {
+      input.addEventListener('change', event => {
+        const {id} = event.target.closest('[data-id]').dataset;
+        const value = event.target.type === 'checkbox' ? event.target.checked : event.target.value.trim();
+        updateBookmarks(bookmarks => {
+          const bookmark = bookmarks.find(bookmark => bookmark.id === id);
+          if (bookmark) bookmark[event.target.name] = value;
+        });
+      });
+    }
+  }
+
+  /**
+   * Id of the bookmark a clicked button belongs to.
+   * @param {HTMLElement} target - Clicked element
+   * @returns {string}
+   */
+  static #rowId(target) {
+    return target.closest('[data-id]').dataset.id;
+  }
+
+  /** @this {BookmarkManager} */
+  static #onGo(event, target) {
+    const id = BookmarkManager.#rowId(target);
+    const bookmark = getBookmarks().find(bookmark => bookmark.id === id);
+    if (bookmark) glideToBookmark(bookmark.slot);
+  }
+
+  /** @this {BookmarkManager} */
+  static #onAdd() {
+    return saveBookmark();
+  }
+
+  /** @this {BookmarkManager} */
+  static #onCapture(event, target) {
+    const id = BookmarkManager.#rowId(target);
+    return updateBookmarks(bookmarks => {
+      const bookmark = bookmarks.find(bookmark => bookmark.id === id);
+      if (bookmark) Object.assign(bookmark, bookmarkView());
+    });
+  }
+
+  /** @this {BookmarkManager} */
+  static #onMoveUp(event, target) {
+    const id = BookmarkManager.#rowId(target);
+    return updateBookmarks(bookmarks => {
+      const index = bookmarks.findIndex(bookmark => bookmark.id === id);
+      if (index > 0) bookmarks.splice(index - 1, 0, ...bookmarks.splice(index, 1));
+    });
+  }
+
+  /** @this {BookmarkManager} */
+  static #onDelete(event, target) {
+    const id = BookmarkManager.#rowId(target);
+    return updateBookmarks(bookmarks => {
+      const index = bookmarks.findIndex(bookmark => bookmark.id === id);
+      if (index >= 0) bookmarks.splice(index, 1);
+    });
+  }
+}
+
+/**
+ * Open the bookmark manager, or bring it to the front if it is already open.
+ */
+function openBookmarkManager() {
+  const app = foundry.applications.instances.get(`${MODULE_ID}-bookmarks`) ?? new BookmarkManager();
+  app.render({force: true});
+}
+
+/**
+ * Re-render the bookmark manager, if it is open, after the viewed scene or its bookmarks change.
+ */
+function refreshBookmarkManager() {
+  foundry.applications.instances.get(`${MODULE_ID}-bookmarks`)?.render();
+}
+
+/**
+ * Camera history of the viewed scene, created on first use.
+ * @returns {{entries: {x: number, y: number, scale: number}[], index: number}|null}
+ */
+function sceneHistory() {
+  const id = canvas?.scene?.id;
+  if (!id) return null;
+  let history = historyState.scenes.get(id);
+  if (!history) historyState.scenes.set(id, history = {entries: [], index: -1});
+  return history;
+}
+
+/**
+ * Whether two views are close enough on screen to count as the same history entry.
+ * @param {{x: number, y: number, scale: number}} a - A view
+ * @param {{x: number, y: number, scale: number}} b - Another view
+ * @returns {boolean}
+ */
+function isNearView(a, b) {
+  const pixels = Math.hypot(a.x - b.x, a.y - b.y) * Math.min(a.scale, b.scale);
+  return (pixels < HISTORY_MERGE_PIXELS) && (Math.abs(Math.log(a.scale / b.scale)) < HISTORY_MERGE_ZOOM);
+}
+
+/**
+ * Record a view in the viewed scene's history, like a browser visit: forward entries are dropped, and the
+ * oldest entry goes once the history is full. A view near the current entry replaces it instead, so small
+ * adjustments do not fill the history. Glides through the history itself are not recorded.
+ * @param {{x: number, y: number, scale: number}} view - View to record
+ */
+function recordHistory(view) {
+  const history = sceneHistory();
+  if (!history || historyState.navigation) return;
+
+  const entry = {x: view.x, y: view.y, scale: view.scale};
+  const current = history.entries[history.index];
+  if (current && isNearView(current, entry)) {
+    history.entries[history.index] = entry;
+    return;
+  }
+  history.entries.splice(history.index + 1);
+  history.entries.push(entry);
+  if (history.entries.length > HISTORY_LIMIT) history.entries.shift();
+  history.index = history.entries.length - 1;
+}
+
+/**
+ * Glide back or forward through the viewed scene's history.
+ * @param {number} step - -1 for back, 1 for forward
+ * @returns {boolean} Whether there was an entry to glide to
+ */
+function navigateHistory(step) {
+  if (!canvas?.ready) return false;
+
+  // Where the camera is now may never have been recorded, e.g. after a drag with smoothing off
+  recordHistory(bookmarkView());
+  const history = sceneHistory();
+  const index = history.index + step;
+  if ((index < 0) || (index >= history.entries.length)) return false;
+
+  history.index = index;
+  const navigation = historyState.navigation = {};
+  glideTo({...history.entries[index]}).catch(() => {}).finally(() => {
+    if (historyState.navigation === navigation) historyState.navigation = null;
+  });
+  return true;
+}
+
+/**
+ * Glide the pan just far enough to bring the controlled tokens back inside the dead zone, a rectangle
+ * around the view center sized by the followDeadZone setting. Follows need smooth panning.
+ * @param {Canvas} canvas - The game canvas
+ */
+function followControlled(canvas) {
+  if (!settings.followToken || followState.paused || !canvas?.ready) return;
+  if (!animationState.tracks.x || !animationState.tracks.y) return;
+  const center = getControlledCenter(canvas, {drawn: true});
+  if (!center) return;
+
+  if (!animationState.viewTicker) alignTargetsToCurrent(canvas);
+  const target = animationState.targetView;
+  const [width, height] = canvas.screenDimensions;
+  const reachX = width * settings.followDeadZone / 2 / target.scale;
+  const reachY = height * settings.followDeadZone / 2 / target.scale;
+  const x = Math.clamp(target.x, center.x - reachX, center.x + reachX);
+  const y = Math.clamp(target.y, center.y - reachY, center.y + reachY);
+  if ((x === target.x) && (y === target.y)) return;
+
+  interruptGlide(['x', 'y']);
+  const desired = canvas._constrainView({x, y, scale: target.scale});
+  animationState.zoomAnchor = null;
+  animationState.inertia = null;
+  animationState.targetView = {x: desired.x, y: desired.y, scale: target.scale};
+  startViewTicker(canvas);
+}
+
+/**
+ * Stop following until a controlled token moves again, because the user took the camera.
+ */
+function pauseFollow() {
+  if (settings.followToken) followState.paused = true;
+}
+
+/**
+ * Turn the follow camera on or off, picking up the controlled tokens straight away when turned on.
+ * @returns {Promise<boolean>} Whether the camera now follows
+ */
+async function toggleFollow() {
+  const follow = !settings.followToken;
+  await game.settings.set(MODULE_ID, 'followToken', follow);
+  ui.notifications.info(follow ? 'ez-glide.follow.on' : 'ez-glide.follow.off', {localize: true});
+  return follow;
+}
+
+/**
+ * Glide to the combatant whose turn it now is, unless this user opted out or the token must stay unseen:
+ * tokens the user cannot see, combatants hidden from the tracker, and, when the GM turned them off, NPC turns.
+ * @param {Combat} combat - The combat whose turn changed
+ */
+function focusCombatant(combat) {
+  if (!settings.combatFocus || !canvas?.ready) return;
+  const combatant = combat.combatant;
+  const token = combatant?.token?.object;
+  if (!token || (combatant.sceneId !== canvas.scene?.id)) return;
+  if (!token.visible || (combatant.hidden && !game.user.isGM)) return;
+  if (!combatant.hasPlayerOwner && !game.settings.get(MODULE_ID, 'combatFocusNpcs')) return;
+
+  // A turn glide cut short by the user is expected, not an error
+  const {x, y} = token.center;
+  glideTo({x, y, scale: settings.combatFocusZoom || undefined}).catch(() => {});
+}
+
+/**
+ * Convert a wheel event into a zoom multiplier.
+ * The delta is normalized by deltaMode so one notch of a mouse wheel equals one zoomStep, while the many
+ * small deltas of a precision trackpad zoom proportionally to their size.
+ * @param {WheelEvent} event - The wheel event
+ * @returns {number} Scale multiplier (> 1 zooms in, 1 when there is no vertical movement)
+ */
+function wheelZoomFactor(event) {
+  const notches = event.deltaY / (WHEEL_NOTCH[event.deltaMode] ?? WHEEL_NOTCH[0]);
+  if (!notches) return 1;
+
+  // Sensitivity curve: |n|^curve keeps a full notch at exactly one step while reshaping partial deltas
+  const magnitude = Math.min(Math.abs(notches), MAX_WHEEL_NOTCHES) ** settings.zoomCurve;
+  return settings.zoomStep ** (-Math.sign(notches) * magnitude);
+}
+
+/**
+ * Convert a wheel event into a pan offset in screen pixels.
+ * Shift+wheel pans sideways; some platforms already report it as deltaX, others leave it on deltaY.
+ * @param {WheelEvent} event - The wheel event
+ * @returns {{x: number, y: number}} Screen-space pan offset
+ */
+function wheelPanDelta(event) {
+  const px = WHEEL_NOTCH[0] / (WHEEL_NOTCH[event.deltaMode] ?? WHEEL_NOTCH[0]);
+  let x = event.deltaX * px;
+  let y = event.deltaY * px;
+  if (event.shiftKey && !x) [x, y] = [y, 0];
+  return {x, y};
+}
+
+/**
+ * Glide the zoom by one wheel event, accumulating on animationState.targetView.
+ * @param {Canvas} canvas - The game canvas
+ * @param {WheelEvent} event - The wheel event
+ */
+function glideWheelZoom(canvas, event) {
+  const dz = wheelZoomFactor(event);
+  if (dz === 1) return;
+
+  // Blend from the live visual scale; accumulate deltas from the intended target.
+  syncViewState(canvas);
+  const anchor = resolveZoomAnchor(canvas, event);
+  interruptGlide(anchor ? TRACKS : ['scale']);
+
+  // INFERENCE CONTRACT: Must provide animationState.targetView.scale explicitly
+  // All three dimensions are being animated
+  const targetScale = constrainInputScale(canvas, dz * animationState.targetView.scale);
+
+  // Without an anchor the pivot keeps heading where it was, so the zoom grows from the view center
+  // and combines with a pan already in flight
+  const pivot = anchor ? anchorPivot(anchor, targetScale) : animationState.targetView;
+  const desired = constrainInputView(canvas, {x: pivot.x, y: pivot.y, scale: targetScale});
+  animationState.zoomAnchor = anchor;
+  if (anchor) animationState.inertia = null;
+  animationState.targetView = {x: desired.x, y: desired.y, scale: targetScale};
+
+  startViewTicker(canvas);
+}
+
+/**
+ * Glide the pan by one wheel event, accumulating on animationState.targetView.
+ * @param {Canvas} canvas - The game canvas
+ * @param {WheelEvent} event - The wheel event
+ */
+function glideWheelPan(canvas, event) {
+  const delta = wheelPanDelta(event);
+  if (!delta.x && !delta.y) return;
+
+  interruptGlide(['x', 'y']);
+  syncViewState(canvas);
+
+  // Offsets are in screen pixels, so convert at the scale the view is heading to
+  const target = animationState.targetView;
+  const desired = constrainInputView(canvas, {
+    x: target.x + (delta.x / target.scale),
+    y: target.y + (delta.y / target.scale),
+    scale: target.scale
+  });
+
+  // Panning takes over the pivot, so any zoom anchor or fling no longer applies
+  animationState.zoomAnchor = null;
+  animationState.inertia = null;
+  animationState.targetView = {x: desired.x, y: desired.y, scale: target.scale};
+
+  startViewTicker(canvas);
+}
+
+/**
+ * Resolve the world point that should stay fixed on screen during a zoom.
+ * The anchor is captured from the live view, so queued wheel steps keep the same point under the pointer.
+ * @param {Canvas} canvas - The game canvas
+ * @param {WheelEvent} event - The wheel event that triggered the zoom
+ * @returns {{world: {x: number, y: number}, offset: {x: number, y: number}}|null}
+ *   World point and its screen offset from the view center, or null to zoom about the center
+ */
+function resolveZoomAnchor(canvas, event) {
+  let world;
+  switch (settings.zoomAnchor) {
+    case ZOOM_ANCHORS.CURSOR:
+      world = canvas.canvasCoordinatesFromClient({x: event.clientX, y: event.clientY});
+      break;
+    case ZOOM_ANCHORS.TOKEN:
+      world = getControlledCenter(canvas);
+      break;
+  }
+  if (!world) return null;
+  return viewAnchor(world);
+}
+
+/**
+ * Pin a canvas point at its current screen offset from the view center.
+ * @param {{x: number, y: number}} world - Canvas coordinates
+ * @returns {{world: {x: number, y: number}, offset: {x: number, y: number}}}
+ */
+function viewAnchor(world) {
+  const view = animationState.currentView;
+  return {
+    world: {x: world.x, y: world.y},
+    offset: {x: (world.x - view.x) * view.scale, y: (world.y - view.y) * view.scale}
+  };
+}
+
+/**
+ * Pivot that keeps a zoom anchor at its screen offset for a given scale.
+ * @param {{world: {x: number, y: number}, offset: {x: number, y: number}}} anchor - Anchor from resolveZoomAnchor
+ * @param {number} scale - Stage scale
+ * @returns {{x: number, y: number}} Stage pivot
+ */
+function anchorPivot(anchor, scale) {
+  return {
+    x: anchor.world.x - (anchor.offset.x / scale),
+    y: anchor.world.y - (anchor.offset.y / scale)
+  };
+}
+
+/**
+ * Center point of the tokens the user currently controls.
+ * @param {Canvas} canvas - The game canvas
+ * @param {{drawn?: boolean}} [options] - With drawn, use where the tokens are drawn, which trails the document
+ *   during movement animation, rather than their document position
+ * @returns {{x: number, y: number}|null} Centroid of controlled tokens, or null when none are controlled
+ */
+function getControlledCenter(canvas, {drawn = false} = {}) {
+  const tokens = canvas.tokens?.controlled ?? [];
+  if (!tokens.length) return null;
+
+  let x = 0;
+  let y = 0;
+  for (const token of tokens) {
+    x += drawn ? token.x + (token.w / 2) : token.center.x;
+    y += drawn ? token.y + (token.h / 2) : token.center.y;
+  }
+  return {x: x / tokens.length, y: y / tokens.length};
+}
+
+/**
+ * Get frame delta time and update last frame time.
+ * @returns {number} Delta time in seconds since last frame
+ */
+function getFrameDelta() {
+  const now = performance.now();
+  const dt = Math.max(0, (now - animationState.lastViewTime) / 1000);
+  animationState.lastViewTime = now;
+  return dt;
+}
+
+/**
+ * Fold one frame into the frame-time stats and step the degrade level toward the budget.
+ * The level moves one step at a time, with hysteresis, so it does not flicker between levels.
+ * @param {number} dt - Frame delta in seconds
+ */
+function measureFrame(dt) {
+  const ms = dt * 1000;
+
+  // The first frame after a start only covers part of an interval, and a stall (e.g. a hidden tab) says nothing
+  // about load
+  const stats = frameState;
+  if (stats.skipFrame) {
+    stats.skipFrame = false;
+    return;
+  }
+  if (ms > FRAME_STALL_MS) return;
+  stats.frames++;
+  stats.average = stats.average ? stats.average + ((ms - stats.average) * FRAME_SMOOTHING) : ms;
+  stats.worst = Math.max(stats.worst, ms);
+
+  if (!settings.adaptiveQuality) {
+    stats.level = FRAME_LEVELS.FULL;
+    return;
+  }
+  const now = performance.now();
+  if (now - stats.levelTime < FRAME_LEVEL_MS) return;
+
+  const budget = 1000 / settings.targetFps;
+  if ((stats.average > budget) && (stats.level < FRAME_LEVELS.SHORTEN)) stats.level++;
+  else if ((stats.average < budget * FRAME_RECOVER) && (stats.level > FRAME_LEVELS.FULL)) stats.level--;
+  else return;
+  stats.levelTime = now;
+}
+
+/**
+ * Apply one frame's view at the current degrade level.
+ * From THROTTLE_BLUR on, blur is only updated every few frames; from DEFER_REFRESH on, the stage is moved
+ * directly and the rest of core's pan waits for flushFrame. The scene's view position, the HUD and the
+ * canvasPan hook still follow every frame, so other modules keep seeing the camera move.
+ * @param {Canvas} canvas - The game canvas
+ * @param {{x: number, y: number, scale: number}} view - View for this frame
+ */
+function applyFrame(canvas, view) {
+  const level = frameState.level;
+  if (level >= FRAME_LEVELS.DEFER_REFRESH) {
+    // Clamp as core's pan would; only a stretched elastic view may leave the bounds
+    const {x, y, scale} = settings.elasticBounds ? view : canvas._constrainView(view);
+    canvas.stage.pivot.set(x, y);
+    canvas.stage.scale.set(scale, scale);
+    canvas.scene._viewPosition = {x, y, scale};
+    canvas.hud?.align();
+    Hooks.callAll('canvasPan', canvas, {x, y, scale});
+    frameState.deferredPan = true;
+    return;
+  }
+
+  canvas.pan({...view, [INTERNAL_PAN]: true});
+  if ((level < FRAME_LEVELS.THROTTLE_BLUR) || (++frameState.blurFrame % BLUR_THROTTLE_FRAMES === 0)) {
+    canvas.updateBlur();
+    frameState.staleBlur = false;
+  } else frameState.staleBlur = true;
+}
+
+/**
+ * Run the pan refreshes and blur update that degraded frames skipped, once the view stops.
+ * @param {Canvas} canvas - The game canvas
+ */
+function flushFrame(canvas) {
+  if (frameState.deferredPan) {
+    frameState.deferredPan = false;
+    canvas.pan({...animationState.currentView, [INTERNAL_PAN]: true});
+    frameState.staleBlur = true;
+  }
+  if (frameState.staleBlur) {
+    frameState.staleBlur = false;
+    canvas.updateBlur();
+  }
+}
+
+/**
+ * Show frame-time stats in a corner of the screen while the showFrameStats setting is on.
+ * Updated a few times per second, so the overlay costs nothing noticeable itself.
+ */
+function updateFrameStats() {
+  const stats = frameState;
+  if (!settings.showFrameStats) {
+    stats.overlay?.remove();
+    stats.overlay = null;
+    return;
+  }
+
+  const now = performance.now();
+  if (stats.overlay && (now - stats.overlayTime < FRAME_STATS_MS)) return;
+  stats.overlayTime = now;
+  if (!stats.overlay) {
+    stats.overlay = document.createElement('div');
+    stats.overlay.id = `${MODULE_ID}-frame-stats`;
+    stats.overlay.style.cssText = 'position: fixed; left: 8px; bottom: 8px; z-index: 1000; padding: 2px 6px; '
+      + 'font: 12px monospace; color: #fff; background: rgba(0, 0, 0, 0.6); pointer-events: none;';
+    document.body.append(stats.overlay);
+  }
+  const {average, worst, level} = api.frameStats;
+  stats.overlay.textContent = game.i18n.format('ez-glide.frameStats', {
+    average: average.toFixed(1),
+    fps: average ? Math.round(1000 / average) : 0,
+    worst: worst.toFixed(1),
+    level: game.i18n.localize(`ez-glide.frameLevels.${level}`)
+  });
+}
+
+Hooks.once('init', () => {
+  game.modules.get(MODULE_ID).api = api;
+
+  // World camera policy, edited through the menu below and resolved by getSetting
+  game.settings.registerMenu(MODULE_ID, 'cameraPolicy', {
+    name: 'ez-glide.policy.menu.name',
+    label: 'ez-glide.policy.menu.label',
+    hint: 'ez-glide.policy.menu.hint',
+    icon: 'fa-solid fa-lock',
+    type: CameraPolicyConfig,
+    restricted: true
+  });
+
+  game.settings.register(MODULE_ID, 'worldDefaults', {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {},
+    onChange: () => {
+      applyWorldDefaults();
+      refreshSettings();
+    }
+  });
+
+  game.settings.register(MODULE_ID, 'lockedSettings', {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {},
+    onChange: refreshSettings
+  });
+
+  game.settings.registerMenu(MODULE_ID, 'presets', {
+    name: 'ez-glide.presets.menu.name',
+    label: 'ez-glide.presets.menu.label',
+    hint: 'ez-glide.presets.menu.hint',
+    icon: 'fa-solid fa-sliders',
+    type: PresetConfig,
+    restricted: false
+  });
+
+  game.settings.register(MODULE_ID, 'customPresets', {
+    scope: 'client',
+    config: false,
+    type: Object,
+    default: {}
+  });
+
   game.settings.register(MODULE_ID, 'enableSmoothZoom', {
     name: 'ez-glide.settings.enableSmoothZoom.name',
     hint: 'ez-glide.settings.enableSmoothZoom.hint',
@@ -329,11 +2578,7 @@ Hooks.once('init', () => {
     config: true,
     type: Boolean,
     default: true,
-    onChange: () => {
-      if (errorState.conflictingPackage || errorState.wrapperError) return;
-      updateHooksFromSettings();
-      canvas?.draw(); // reload canvas to rebuild from Canvas.prototype.* without a client reload
-    }
+    onChange: () => switchModeLive()
   });
 
   game.settings.register(MODULE_ID, 'zoomSpeed', {
@@ -344,7 +2589,7 @@ Hooks.once('init', () => {
     type: Number,
     range: {min: 0.1, max: 25, step: 0.1},
     default: settings.zoomSpeed,
-    onChange: value => settings.zoomSpeed = value
+    onChange: () => settings.zoomSpeed = resolveSceneSetting('zoomSpeed')
   });
 
 
@@ -356,7 +2601,50 @@ Hooks.once('init', () => {
     type: Number,
     range: {min: 1.01, max: 1.5, step: 0.01},
     default: settings.zoomStep,
-    onChange: value => settings.zoomStep = value
+    onChange: () => settings.zoomStep = resolveSceneSetting('zoomStep')
+  });
+
+  game.settings.register(MODULE_ID, 'zoomCurve', {
+    name: 'ez-glide.settings.zoomCurve.name',
+    hint: 'ez-glide.settings.zoomCurve.hint',
+    scope: 'client',
+    config: true,
+    type: Number,
+    range: {min: 0.25, max: 2, step: 0.05},
+    default: settings.zoomCurve,
+    onChange: () => settings.zoomCurve = getSetting('zoomCurve')
+  });
+
+  game.settings.register(MODULE_ID, 'zoomAnchor', {
+    name: 'ez-glide.settings.zoomAnchor.name',
+    hint: 'ez-glide.settings.zoomAnchor.hint',
+    scope: 'client',
+    config: true,
+    type: String,
+    choices: {
+      [ZOOM_ANCHORS.CENTER]: 'ez-glide.settings.zoomAnchor.choices.center',
+      [ZOOM_ANCHORS.CURSOR]: 'ez-glide.settings.zoomAnchor.choices.cursor',
+      [ZOOM_ANCHORS.TOKEN]: 'ez-glide.settings.zoomAnchor.choices.token'
+    },
+    default: settings.zoomAnchor,
+    onChange: () => settings.zoomAnchor = getSetting('zoomAnchor')
+  });
+
+  game.settings.register(MODULE_ID, 'wheelMode', {
+    name: 'ez-glide.settings.wheelMode.name',
+    hint: 'ez-glide.settings.wheelMode.hint',
+    scope: 'client',
+    config: true,
+    type: String,
+    choices: {
+      [WHEEL_MODES.ZOOM]: 'ez-glide.settings.wheelMode.choices.zoom',
+      [WHEEL_MODES.TRACKPAD]: 'ez-glide.settings.wheelMode.choices.trackpad'
+    },
+    default: settings.wheelMode,
+    onChange: () => {
+      settings.wheelMode = getSetting('wheelMode');
+      switchModeLive();
+    }
   });
 
   game.settings.register(MODULE_ID, 'enableSmoothPan', {
@@ -366,11 +2654,7 @@ Hooks.once('init', () => {
     config: true,
     type: Boolean,
     default: true,
-    onChange: () => {
-      if (errorState.conflictingPackage || errorState.wrapperError) return;
-      updateHooksFromSettings();
-      canvas?.draw(); // reload canvas to rebuild from Canvas.prototype.* without a client reload
-    }
+    onChange: () => switchModeLive()
   });
   
   game.settings.register(MODULE_ID, 'panSpeed', {
@@ -381,23 +2665,385 @@ Hooks.once('init', () => {
     type: Number,
     range: {min: 0.1, max: 25, step: 0.1},
     default: settings.panSpeed,
-    onChange: value => settings.panSpeed = value
+    onChange: () => settings.panSpeed = resolveSceneSetting('panSpeed')
+  });
+
+  game.settings.register(MODULE_ID, 'motionModel', {
+    name: 'ez-glide.settings.motionModel.name',
+    hint: 'ez-glide.settings.motionModel.hint',
+    scope: 'client',
+    config: true,
+    type: String,
+    choices: getMotionModelChoices(),
+    default: settings.motionModel,
+    onChange: () => settings.motionModel = getSetting('motionModel')
+  });
+
+  game.settings.register(MODULE_ID, 'springDamping', {
+    name: 'ez-glide.settings.springDamping.name',
+    hint: 'ez-glide.settings.springDamping.hint',
+    scope: 'client',
+    config: true,
+    type: Number,
+    range: {min: 0.1, max: 0.95, step: 0.05},
+    default: settings.springDamping,
+    onChange: () => settings.springDamping = getSetting('springDamping')
+  });
+
+  game.settings.register(MODULE_ID, 'edgeScroll', {
+    name: 'ez-glide.settings.edgeScroll.name',
+    hint: 'ez-glide.settings.edgeScroll.hint',
+    scope: 'client',
+    config: true,
+    type: String,
+    choices: {
+      [EDGE_SCROLL.OFF]: 'ez-glide.settings.edgeScroll.choices.off',
+      [EDGE_SCROLL.DRAG]: 'ez-glide.settings.edgeScroll.choices.drag',
+      [EDGE_SCROLL.HOVER]: 'ez-glide.settings.edgeScroll.choices.hover'
+    },
+    default: settings.edgeScroll,
+    onChange: () => {
+      settings.edgeScroll = getSetting('edgeScroll');
+      switchModeLive();
+    }
+  });
+
+  game.settings.register(MODULE_ID, 'edgeScrollMargin', {
+    name: 'ez-glide.settings.edgeScrollMargin.name',
+    hint: 'ez-glide.settings.edgeScrollMargin.hint',
+    scope: 'client',
+    config: true,
+    type: Number,
+    range: {min: 10, max: 200, step: 5},
+    default: settings.edgeScrollMargin,
+    onChange: () => settings.edgeScrollMargin = getSetting('edgeScrollMargin')
+  });
+
+  game.settings.register(MODULE_ID, 'edgeScrollSpeed', {
+    name: 'ez-glide.settings.edgeScrollSpeed.name',
+    hint: 'ez-glide.settings.edgeScrollSpeed.hint',
+    scope: 'client',
+    config: true,
+    type: Number,
+    range: {min: 200, max: 4000, step: 100},
+    default: settings.edgeScrollSpeed,
+    onChange: () => settings.edgeScrollSpeed = getSetting('edgeScrollSpeed')
+  });
+
+  game.settings.register(MODULE_ID, 'panButton', {
+    name: 'ez-glide.settings.panButton.name',
+    hint: 'ez-glide.settings.panButton.hint',
+    scope: 'client',
+    config: true,
+    type: String,
+    choices: {
+      [PAN_BUTTONS.RIGHT]: 'ez-glide.settings.panButton.choices.right',
+      [PAN_BUTTONS.MIDDLE]: 'ez-glide.settings.panButton.choices.middle',
+      [PAN_BUTTONS.SPACE]: 'ez-glide.settings.panButton.choices.space',
+      [PAN_BUTTONS.ALL]: 'ez-glide.settings.panButton.choices.all'
+    },
+    default: settings.panButton,
+    onChange: () => settings.panButton = getSetting('panButton')
+  });
+
+  game.settings.register(MODULE_ID, 'elasticBounds', {
+    name: 'ez-glide.settings.elasticBounds.name',
+    hint: 'ez-glide.settings.elasticBounds.hint',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: settings.elasticBounds,
+    onChange: () => {
+      settings.elasticBounds = getSetting('elasticBounds');
+      switchModeLive();
+    }
+  });
+
+  game.settings.register(MODULE_ID, 'elasticResistance', {
+    name: 'ez-glide.settings.elasticResistance.name',
+    hint: 'ez-glide.settings.elasticResistance.hint',
+    scope: 'client',
+    config: true,
+    type: Number,
+    range: {min: 0.1, max: 0.9, step: 0.05},
+    default: settings.elasticResistance,
+    onChange: () => settings.elasticResistance = getSetting('elasticResistance')
+  });
+
+  game.settings.register(MODULE_ID, 'elasticOvershoot', {
+    name: 'ez-glide.settings.elasticOvershoot.name',
+    hint: 'ez-glide.settings.elasticOvershoot.hint',
+    scope: 'client',
+    config: true,
+    type: Number,
+    range: {min: 20, max: 400, step: 10},
+    default: settings.elasticOvershoot,
+    onChange: () => settings.elasticOvershoot = getSetting('elasticOvershoot')
+  });
+
+  game.settings.register(MODULE_ID, 'enableInertia', {
+    name: 'ez-glide.settings.enableInertia.name',
+    hint: 'ez-glide.settings.enableInertia.hint',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: settings.enableInertia,
+    onChange: () => settings.enableInertia = getSetting('enableInertia')
+  });
+
+  game.settings.register(MODULE_ID, 'inertiaFriction', {
+    name: 'ez-glide.settings.inertiaFriction.name',
+    hint: 'ez-glide.settings.inertiaFriction.hint',
+    scope: 'client',
+    config: true,
+    type: Number,
+    range: {min: 0.5, max: 15, step: 0.5},
+    default: settings.inertiaFriction,
+    onChange: () => settings.inertiaFriction = getSetting('inertiaFriction')
+  });
+
+  game.settings.register(MODULE_ID, 'inertiaMaxSpeed', {
+    name: 'ez-glide.settings.inertiaMaxSpeed.name',
+    hint: 'ez-glide.settings.inertiaMaxSpeed.hint',
+    scope: 'client',
+    config: true,
+    type: Number,
+    range: {min: 500, max: 10000, step: 100},
+    default: settings.inertiaMaxSpeed,
+    onChange: () => settings.inertiaMaxSpeed = getSetting('inertiaMaxSpeed')
+  });
+
+  game.settings.register(MODULE_ID, 'enableKeyboard', {
+    name: 'ez-glide.settings.enableKeyboard.name',
+    hint: 'ez-glide.settings.enableKeyboard.hint',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: settings.enableKeyboard,
+    onChange: () => settings.enableKeyboard = getSetting('enableKeyboard')
+  });
+
+  game.settings.register(MODULE_ID, 'keyboardPanSpeed', {
+    name: 'ez-glide.settings.keyboardPanSpeed.name',
+    hint: 'ez-glide.settings.keyboardPanSpeed.hint',
+    scope: 'client',
+    config: true,
+    type: Number,
+    range: {min: 200, max: 4000, step: 100},
+    default: settings.keyboardPanSpeed,
+    onChange: () => settings.keyboardPanSpeed = getSetting('keyboardPanSpeed')
+  });
+
+  game.settings.register(MODULE_ID, 'enableTouch', {
+    name: 'ez-glide.settings.enableTouch.name',
+    hint: 'ez-glide.settings.enableTouch.hint',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: settings.enableTouch,
+    onChange: () => settings.enableTouch = getSetting('enableTouch')
+  });
+
+  game.settings.register(MODULE_ID, 'followToken', {
+    name: 'ez-glide.settings.followToken.name',
+    hint: 'ez-glide.settings.followToken.hint',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: settings.followToken,
+    onChange: () => {
+      settings.followToken = getSetting('followToken');
+      followState.paused = false;
+      followControlled(canvas);
+    }
+  });
+
+  game.settings.register(MODULE_ID, 'followDeadZone', {
+    name: 'ez-glide.settings.followDeadZone.name',
+    hint: 'ez-glide.settings.followDeadZone.hint',
+    scope: 'client',
+    config: true,
+    type: Number,
+    range: {min: 0, max: 0.9, step: 0.05},
+    default: settings.followDeadZone,
+    onChange: () => settings.followDeadZone = getSetting('followDeadZone')
+  });
+
+  game.settings.register(MODULE_ID, 'combatFocus', {
+    name: 'ez-glide.settings.combatFocus.name',
+    hint: 'ez-glide.settings.combatFocus.hint',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: settings.combatFocus,
+    onChange: () => settings.combatFocus = getSetting('combatFocus')
+  });
+
+  game.settings.register(MODULE_ID, 'combatFocusZoom', {
+    name: 'ez-glide.settings.combatFocusZoom.name',
+    hint: 'ez-glide.settings.combatFocusZoom.hint',
+    scope: 'client',
+    config: true,
+    type: Number,
+    range: {min: 0, max: 3, step: 0.1},
+    default: settings.combatFocusZoom,
+    onChange: () => settings.combatFocusZoom = getSetting('combatFocusZoom')
+  });
+
+  game.settings.register(MODULE_ID, 'combatFocusNpcs', {
+    name: 'ez-glide.settings.combatFocusNpcs.name',
+    hint: 'ez-glide.settings.combatFocusNpcs.hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register(MODULE_ID, 'reducedMotion', {
+    name: 'ez-glide.settings.reducedMotion.name',
+    hint: 'ez-glide.settings.reducedMotion.hint',
+    scope: 'client',
+    config: true,
+    type: String,
+    choices: {
+      [REDUCED_MOTION.AUTO]: 'ez-glide.settings.reducedMotion.choices.auto',
+      [REDUCED_MOTION.ON]: 'ez-glide.settings.reducedMotion.choices.on',
+      [REDUCED_MOTION.OFF]: 'ez-glide.settings.reducedMotion.choices.off'
+    },
+    default: REDUCED_MOTION.AUTO,
+    onChange: refreshSettings
+  });
+
+  game.settings.register(MODULE_ID, 'adaptiveQuality', {
+    name: 'ez-glide.settings.adaptiveQuality.name',
+    hint: 'ez-glide.settings.adaptiveQuality.hint',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: settings.adaptiveQuality,
+    onChange: () => settings.adaptiveQuality = getSetting('adaptiveQuality')
+  });
+
+  game.settings.register(MODULE_ID, 'targetFps', {
+    name: 'ez-glide.settings.targetFps.name',
+    hint: 'ez-glide.settings.targetFps.hint',
+    scope: 'client',
+    config: true,
+    type: Number,
+    range: {min: 20, max: 120, step: 5},
+    default: settings.targetFps,
+    onChange: () => settings.targetFps = getSetting('targetFps')
+  });
+
+  game.settings.register(MODULE_ID, 'showFrameStats', {
+    name: 'ez-glide.settings.showFrameStats.name',
+    hint: 'ez-glide.settings.showFrameStats.hint',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: settings.showFrameStats,
+    onChange: () => {
+      settings.showFrameStats = getSetting('showFrameStats');
+      updateFrameStats();
+    }
+  });
+
+  for (let slot = 1; slot <= BOOKMARK_SLOTS; slot++) {
+    game.keybindings.register(MODULE_ID, `bookmark${slot}`, {
+      name: `ez-glide.keybindings.bookmark${slot}`,
+      editable: [{key: `Digit${slot}`, modifiers: ['Alt']}],
+      onDown: () => glideToBookmark(slot)
+    });
+  }
+
+  game.keybindings.register(MODULE_ID, 'saveBookmark', {
+    name: 'ez-glide.keybindings.saveBookmark.name',
+    hint: 'ez-glide.keybindings.saveBookmark.hint',
+    editable: [{key: 'KeyB', modifiers: ['Alt']}],
+    restricted: true,
+    onDown: () => {
+      saveBookmark();
+      return true;
+    }
+  });
+
+  game.keybindings.register(MODULE_ID, 'toggleFollow', {
+    name: 'ez-glide.keybindings.toggleFollow.name',
+    hint: 'ez-glide.keybindings.toggleFollow.hint',
+    editable: [{key: 'KeyF', modifiers: ['Alt']}],
+    onDown: () => {
+      toggleFollow();
+      return true;
+    }
+  });
+
+  game.keybindings.register(MODULE_ID, 'historyBack', {
+    name: 'ez-glide.keybindings.historyBack.name',
+    hint: 'ez-glide.keybindings.historyBack.hint',
+    editable: [{key: 'BracketLeft', modifiers: ['Alt']}],
+    onDown: () => navigateHistory(-1)
+  });
+
+  game.keybindings.register(MODULE_ID, 'historyForward', {
+    name: 'ez-glide.keybindings.historyForward.name',
+    hint: 'ez-glide.keybindings.historyForward.hint',
+    editable: [{key: 'BracketRight', modifiers: ['Alt']}],
+    onDown: () => navigateHistory(1)
+  });
+
+  // The OS preference can change while the game is open
+  reducedMotionQuery?.addEventListener('change', () => {
+    if (game.settings.get(MODULE_ID, 'reducedMotion') === REDUCED_MOTION.AUTO) refreshSettings();
   });
 });
 
-function updateHooksFromSettings() {
-  const enableSmoothZoom = game.settings.get(MODULE_ID, 'enableSmoothZoom');
-  const enableSmoothPan = game.settings.get(MODULE_ID, 'enableSmoothPan');
+/**
+ * Load every setting into the settings object through the world camera policy.
+ */
+function loadSettings() {
+  // Resolved first, since the profile overrides the settings below
+  settings.reducedMotion = isReducedMotion();
+  settings.zoomStep = resolveSceneSetting('zoomStep');
+  settings.zoomCurve = getSetting('zoomCurve');
+  settings.zoomAnchor = getSetting('zoomAnchor');
+  settings.wheelMode = getSetting('wheelMode');
+  settings.zoomSpeed = resolveSceneSetting('zoomSpeed');
+  settings.panSpeed = resolveSceneSetting('panSpeed');
+  settings.motionModel = getSetting('motionModel');
+  settings.springDamping = getSetting('springDamping');
+  settings.edgeScroll = getSetting('edgeScroll');
+  settings.edgeScrollMargin = getSetting('edgeScrollMargin');
+  settings.edgeScrollSpeed = getSetting('edgeScrollSpeed');
+  settings.panButton = getSetting('panButton');
+  settings.elasticBounds = getSetting('elasticBounds');
+  settings.elasticResistance = getSetting('elasticResistance');
+  settings.elasticOvershoot = getSetting('elasticOvershoot');
+  settings.enableInertia = getSetting('enableInertia');
+  settings.inertiaFriction = getSetting('inertiaFriction');
+  settings.inertiaMaxSpeed = getSetting('inertiaMaxSpeed');
+  settings.enableKeyboard = getSetting('enableKeyboard');
+  settings.keyboardPanSpeed = getSetting('keyboardPanSpeed');
+  settings.enableTouch = getSetting('enableTouch');
+  settings.followToken = getSetting('followToken');
+  settings.followDeadZone = getSetting('followDeadZone');
+  settings.combatFocus = getSetting('combatFocus');
+  settings.combatFocusZoom = getSetting('combatFocusZoom');
+  settings.adaptiveQuality = getSetting('adaptiveQuality');
+  settings.targetFps = getSetting('targetFps');
+  settings.showFrameStats = getSetting('showFrameStats');
+}
 
-  let hookMode = HOOK_MODES.NONE;
-  if (enableSmoothPan) hookMode |= HOOK_MODES.PANNING;
-  if (enableSmoothZoom) hookMode |= HOOK_MODES.ZOOMING;
+function updateHooksFromSettings() {
+  const enableSmoothZoom = getSetting('enableSmoothZoom');
+  const enableSmoothPan = getSetting('enableSmoothPan');
 
-  registerHooks(hookMode);
+  registerHooks({x: enableSmoothPan, y: enableSmoothPan, scale: enableSmoothZoom});
 }
 
 // Initialize wrapper according to user settings
 Hooks.once('setup', () => {
+  applyWorldDefaults();
+
   // Check for conflicting modules
   const conflicts = game.modules.get(MODULE_ID).relationships.conflicts;
   for (const conflict of conflicts) {
@@ -408,13 +3054,15 @@ Hooks.once('setup', () => {
     }
   }
 
-  settings.zoomStep = game.settings.get(MODULE_ID, 'stepSize');
-  settings.zoomSpeed = game.settings.get(MODULE_ID, 'zoomSpeed');
-  settings.panSpeed = game.settings.get(MODULE_ID, 'panSpeed');
+  loadSettings();
 
   updateHooksFromSettings();
 });
 
+// Core keybindings are registered by the time the game is ready
+Hooks.once('ready', wrapKeyboardActions);
+Hooks.once('ready', wrapPauseAction);
+
 // Display error if wrappers failed to register
 Hooks.once('ready', () => {
   if (errorState.conflictingPackage) {
@@ -435,17 +3083,161 @@ Hooks.once('ready', () => {
 
 // Initialize view state when canvas is ready
 Hooks.on('canvasReady', function onCanvasReady(canvas) {
+  applySceneOverrides(canvas);
+
+  // Frame cost depends on the scene, so the budget starts over
+  frameState.level = FRAME_LEVELS.FULL;
+  frameState.average = 0;
+
   // Sync animationState.currentView and animationState.targetView from the actual canvas state.
   // This ensures both variables reflect the scene's initial view position
   // (stored in scene._viewPosition) whenever a scene loads or reloads.
   alignTargetsToCurrent(canvas);
+  recordHistory(animationState.currentView);
+
+  // The canvas just bound its interaction callbacks, so everything wrapped so far is live
+  wrapperState.drawnWith = new Set(wrapperState.wrapped);
+});
+
+// Pick up override changes the GM saves while the scene is being viewed
+Hooks.on('updateScene', function onUpdateScene(scene, changes) {
+  if ((scene !== canvas?.scene) || !foundry.utils.hasProperty(changes, `flags.${MODULE_ID}`)) return;
+  applySceneOverrides(canvas);
+});
+
+Hooks.on('renderSceneConfig', injectSceneConfig);
+
+// The follow camera tracks controlled tokens as they are drawn moving, and resumes when one sets off again
+Hooks.on('refreshToken', function onFollowRefresh(token, flags) {
+  if (flags.refreshPosition && token.controlled) followControlled(canvas);
+});
+Hooks.on('updateToken', function onFollowUpdate(document, changes) {
+  if (!document.object?.controlled || !(('x' in changes) || ('y' in changes))) return;
+  followState.paused = false;
+  followControlled(canvas);
+});
+
+// Each client glides to the combatant whose turn it is
+Hooks.on('combatTurnChange', focusCombatant);
+
+// Keep the bookmark manager in step with the viewed scene
+Hooks.on('updateScene', function onUpdateBookmarks(scene, changes) {
+  if ((scene === canvas?.scene) && foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.bookmarks`)) refreshBookmarkManager();
+});
+Hooks.on('canvasReady', refreshBookmarkManager);
+
+// The bookmark manager opens from the token controls
+Hooks.on('getSceneControlButtons', function addBookmarkTool(controls) {
+  const tools = controls.tokens?.tools;
+  if (!tools) return;
+  tools[`${MODULE_ID}-bookmarks`] = {
+    name: `${MODULE_ID}-bookmarks`,
+    order: Object.keys(tools).length,
+    title: 'ez-glide.bookmarks.title',
+    icon: 'fa-solid fa-bookmark',
+    button: true,
+    onChange: openBookmarkManager
+  };
+});
+Hooks.on('renderSettingsConfig', markLockedSettings);
+
+// Stop animating a scene that is being torn down
+Hooks.on('canvasTearDown', function onCanvasTearDown(canvas) {
+  stopViewTicker(canvas, 'teardown');
+});
+
+// Core's MouseManager drops wheel events without vertical movement, which are sideways trackpad swipes.
+// The canvas view persists across scenes, so the listener only needs to be attached once.
+Hooks.once('canvasReady', canvas => {
+  // Any wheel input takes the camera from the follow, whether EZGlide or core handles it
+  canvas.app.view.addEventListener('wheel', pauseFollow, {passive: true});
+
+  canvas.app.view.addEventListener('wheel', function onHorizontalWheel(event) {
+    if (!isTrackpadMode() || !animationState.tracks.x) return;
+    if (event.deltaY !== 0 || event.deltaX === 0 || event.shiftKey || event.ctrlKey) return;
+    event.preventDefault();
+    canvas._onMouseWheel(event);
+  }, {passive: false});
+
+  // Edge scrolling follows the pointer anywhere in the window; a drag ends wherever the button is released
+  window.addEventListener('pointermove', onEdgePointerMove, {passive: true});
+  window.addEventListener('pointerup', () => animationState.edge.dragging = false, {capture: true});
+  document.documentElement.addEventListener('pointerleave', () => animationState.edge.pointer = null);
+
+  // Pan buttons capture their presses above the board, ahead of the PIXI event system
+  document.addEventListener('pointerdown', onPanPointerDown, {capture: true});
+  window.addEventListener('pointermove', onPanPointerMove, {passive: true});
+  window.addEventListener('pointerup', onPanPointerUp, {capture: true});
+  window.addEventListener('pointercancel', onPanPointerUp, {capture: true});
+  window.addEventListener('keydown', onSpaceKey);
+  window.addEventListener('keyup', onSpaceKey);
+  window.addEventListener('blur', () => {
+    Object.assign(animationState.space, {held: false, used: false, pendingPause: null});
+  });
+
+  // Two-finger gestures; the browser must not claim them for page zoom and scrolling
+  canvas.app.view.style.touchAction = 'none';
+  document.addEventListener('pointerdown', onTouchPointerDown, {capture: true});
+  window.addEventListener('pointermove', onTouchPointerMove, {capture: true});
+  window.addEventListener('pointerup', onTouchPointerUp, {capture: true});
+  window.addEventListener('pointercancel', onTouchPointerUp, {capture: true});
 });
 
-function stopViewTicker(canvas) {
+/**
+ * Stop the view ticker where it is.
+ * @param {Canvas} canvas - The game canvas
+ * @param {string|null} [reason='stop'] - Reported by the ezGlide.interrupt hook ('stop', 'pan' or 'teardown');
+ *   null when the ticker is stopping because it settled
+ */
+function stopViewTicker(canvas, reason = 'stop') {
+  const running = !!animationState.viewTicker;
   if (animationState.viewTicker && canvas?.app) {
     canvas.app.ticker.remove(animationState.viewTicker);
     animationState.viewTicker = null;
   }
+
+  // Degraded frames skipped core's refreshes; a scene being torn down no longer needs them
+  if (reason === 'teardown') frameState.deferredPan = frameState.staleBlur = false;
+  else if (running && canvas?.ready) flushFrame(canvas);
+
+  interruptGlide();
+  animationState.zoomAnchor = null;
+  animationState.inertia = null;
+  animationState.keyboard.pan = {x: 0, y: 0};
+  animationState.keyboard.zoom = 0;
+  animationState.velocity = {x: 0, y: 0, scale: 0};
+
+  if (running && reason) {
+    Hooks.callAll('ezGlide.interrupt', {
+      current: {...animationState.currentView},
+      target: {...animationState.targetView},
+      reason
+    });
+  }
+}
+
+// Tickers stop through here once every channel has converged, completing any scripted glide.
+function settleViewTicker(canvas) {
+  const glide = animationState.glide;
+  animationState.glide = null;
+  stopViewTicker(canvas, null);
+
+  const view = {...animationState.currentView};
+  recordHistory(view);
+  Hooks.callAll('ezGlide.settle', {view});
+  glide?.resolve(view);
+}
+
+/**
+ * Report one animation frame to ezGlide.frame listeners, after the view has been applied.
+ * @param {number} dt - Frame delta in seconds
+ */
+function callFrameHook(dt) {
+  Hooks.callAll('ezGlide.frame', {
+    current: {...animationState.currentView},
+    target: {...animationState.targetView},
+    dt
+  });
 }
 
 function syncViewState(canvas) {
@@ -468,58 +3260,157 @@ function startViewTicker(canvas) {
   if (animationState.viewTicker || !canvas?.app) return;
 
   animationState.lastViewTime = performance.now();
+  animationState.viewTicker = () => tickView(canvas);
+  // Stats describe one glide; the degrade level carries over to the next
+  frameState.average = 0;
+  frameState.worst = 0;
+  frameState.frames = 0;
+  frameState.skipFrame = true;
+  recordHistory(animationState.currentView);
+
+  canvas.app.ticker.add(animationState.viewTicker);
+  Hooks.callAll('ezGlide.start', {
+    current: {...animationState.currentView},
+    target: {...animationState.targetView}
+  });
+}
+
+/**
+ * Advance every track by one frame and apply the result with a single canvas.pan.
+ * Disabled tracks jump straight to their target, as core would.
+ * @param {Canvas} canvas - The game canvas
+ */
+function tickView(canvas) {
+  const dt = getFrameDelta();
+  measureFrame(dt);
+  updateFrameStats();
+  const gliding = stepInertia(canvas, dt);
+  const keying = stepKeyboard(canvas, dt);
+  const edging = stepEdgeScroll(canvas, dt);
+  const stretching = stepElastic(canvas);
 
-  // Delegate ticker creation to current handler
-  if (currentHandler?.createTicker) {
-    animationState.viewTicker = currentHandler.createTicker(canvas);
+  const {currentView, targetView, tracks} = animationState;
+  const speeds = {x: glideSpeed('panSpeed'), y: glideSpeed('panSpeed'), scale: glideSpeed('zoomSpeed')};
+
+  // Over budget even with refreshes deferred, so finish sooner
+  if (frameState.level >= FRAME_LEVELS.SHORTEN) for (const channel of TRACKS) speeds[channel] *= SHORTEN_FACTOR;
+  const results = {};
+  for (const channel of TRACKS) {
+    if (tracks[channel]) {
+      results[channel] = stepChannel(channel, targetView[channel], speeds[channel], dt);
+    } else {
+      results[channel] = {value: targetView[channel], delta: 0};
+      animationState.velocity[channel] = 0;
+    }
   }
 
-  canvas.app.ticker.add(animationState.viewTicker);
+  if (animationState.zoomAnchor) {
+    // Pivot is derived from the scale so the anchor stays fixed on screen; it settles with the scale
+    const pivot = anchorPivot(animationState.zoomAnchor, results.scale.value);
+    results.x = {value: pivot.x, delta: results.scale.delta};
+    results.y = {value: pivot.y, delta: results.scale.delta};
+    animationState.velocity.x = animationState.velocity.y = 0;
+  }
+
+  if (TRACKS.some(channel => results[channel].value !== currentView[channel])) {
+    applyFrame(canvas, {x: results.x.value, y: results.y.value, scale: results.scale.value});
+
+    // Align to constrained live values after pan
+    syncViewState(canvas);
+    callFrameHook(dt);
+  }
+
+  if (TRACKS.every(channel => results[channel].delta === 0) && !gliding && !keying && !edging && !stretching) {
+    settleViewTicker(canvas);
+  }
 }
 
 /**
- * Map HOOK_MODES flags to handler key.
- * @param {number} mode - Bitwise combination of HOOK_MODES flags
- * @returns {string} Handler key ('NONE', 'ZOOM_ONLY', 'PAN_ONLY', or 'BOTH')
+ * Copy live stage values into both the current and target view for the given channels.
+ * Used after an external pan so the engine continues from where core left the view.
+ * @param {Canvas} canvas - The game canvas
+ * @param {string[]} channels - Channels to sync
  */
-function getHandlerKey(mode) {
-  if (mode === HOOK_MODES.NONE) return 'NONE';
-  
-  const hasZoom = mode & HOOK_MODES.ZOOMING;
-  const hasPan = mode & HOOK_MODES.PANNING;
-  
-  if (hasZoom && hasPan) return 'BOTH';
-  if (hasZoom) return 'ZOOM_ONLY';
-  if (hasPan) return 'PAN_ONLY';
-  
-  return 'NONE';
+function syncUntrackedChannels(canvas, channels) {
+  const live = {x: canvas.stage.pivot.x, y: canvas.stage.pivot.y, scale: canvas.stage.scale.x};
+  for (const channel of channels) {
+    animationState.currentView[channel] = live[channel];
+    animationState.targetView[channel] = live[channel];
+  }
+}
+
+/**
+ * @returns {boolean} Whether wheel input is sorted into trackpad pan and pinch zoom
+ */
+function isTrackpadMode() {
+  return settings.wheelMode === WHEEL_MODES.TRACKPAD;
 }
 
 /**
- * Register libWrapper hooks based on the selected mode.
- * Uses Strategy pattern - delegates wrapper registration to mode-specific handlers.
- * @param {number} mode - Bitwise combination of HOOK_MODES flags
+ * Register libWrapper hooks for the enabled tracks.
+ * Uses Strategy pattern - delegates wrapper registration to each input source that applies.
+ * @param {{x: boolean, y: boolean, scale: boolean}} tracks - Channels to animate
  */
-function registerHooks(mode) {
+function registerHooks(tracks) {
   libWrapper.unregister_all(MODULE_ID);
-  
-  // Map HOOK_MODES flags to handler key
-  const handlerKey = getHandlerKey(mode);
-  const handler = MODE_HANDLERS[handlerKey];
-  
-  if (!handler) {
-    currentHandler = null;
-    return;
-  }
-  
+  wrapperState.active.clear();
+  animationState.tracks = {...tracks};
+
+  // Sources receive libWrapper with register() recording each target, so a live switch can tell
+  // whether the canvas needs a redraw to pick the new wrappers up
+  const registrar = Object.create(libWrapper, {
+    register: {
+      value: (packageId, target, ...args) => {
+        const id = libWrapper.register(packageId, target, ...args);
+        wrapperState.active.add(target);
+        wrapperState.wrapped.add(target);
+        return id;
+      }
+    }
+  });
+
   try {
-    handler.registerWrappers(libWrapper, MODULE_ID);
-    currentHandler = handler;
+    for (const source of Object.values(INPUT_SOURCES)) {
+      if (source.enabled(tracks)) source.registerWrappers(registrar, MODULE_ID);
+    }
   } catch (err) {
     console.error(err);
     errorState.wrapperError = err;
     // Clean up on error by unregistering everything
     libWrapper.unregister_all(MODULE_ID);
-    currentHandler = null;
+    wrapperState.active.clear();
+    animationState.tracks = {x: false, y: false, scale: false};
+  }
+}
+
+/**
+ * Apply a change to the smoothing toggles or wheel mode without redrawing the canvas.
+ * Wrappers are re-registered and the running ticker simply continues on the new tracks; disabled tracks
+ * jump to their target on the next frame. The user is only asked to redraw when a draw-bound method
+ * was wrapped for the first time since the canvas was drawn.
+ */
+function switchModeLive() {
+  if (errorState.conflictingPackage || errorState.wrapperError || presetState.applying) return;
+  updateHooksFromSettings();
+
+  // A fling has nothing left to drive once the pan tracks are gone
+  if (!animationState.tracks.x) animationState.inertia = null;
+  for (const id of animationState.keyboard.held) {
+    if (!canGlideKeyboard(id)) animationState.keyboard.held.delete(id);
   }
+
+  const stale = DRAW_BOUND_TARGETS.some(target => wrapperState.active.has(target) && !wrapperState.drawnWith.has(target));
+  if (canvas?.ready && stale) promptRedraw();
+}
+
+/**
+ * Ask the user before redrawing the canvas, which can take a while on large scenes.
+ */
+async function promptRedraw() {
+  const redraw = await foundry.applications.api.DialogV2.confirm({
+    window: {title: 'ez-glide.dialogs.redraw.title'},
+    content: `<p>${game.i18n.localize('ez-glide.dialogs.redraw.content')}</p>`,
+    rejectClose: false
+  });
+  if (redraw) canvas?.draw();
 }